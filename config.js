@@ -13,6 +13,7 @@ module.exports = {
         apiSecret: process.env.SHOPIFY_API_SECRET || '',
         scopes: (process.env.SHOPIFY_SCOPES || 'read_orders,write_orders').split(','),
         host: process.env.HOST || 'http://localhost:3000',
+        apiVersion: process.env.SHOPIFY_API_VERSION || '2024-01',
     },
 
     // Server
@@ -23,12 +24,74 @@ module.exports = {
     fraudshield: {
         apiUrl: process.env.FRAUDSHIELD_API_URL || 'https://fraudshield.bd/api/customer/check',
         apiKey: process.env.FRAUDSHIELD_API_KEY || '',
+        reportUrl: process.env.FRAUDSHIELD_REPORT_URL || 'https://fraudshield.bd/api/customer/report',
     },
 
     // Risk Thresholds
     risk: {
         thresholdHigh: parseInt(process.env.RISK_THRESHOLD_HIGH, 10) || 50,
         thresholdMedium: parseInt(process.env.RISK_THRESHOLD_MEDIUM, 10) || 70,
+        // Courier the shop ships with (e.g. steadfast) — tagged fsbd:<courier>-<level>
+        preferredCourier: (process.env.PREFERRED_COURIER || '').trim().toLowerCase(),
+    },
+
+    // Storage
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'file',
+        // One JSON file per collection
+        dir: process.env.STORAGE_DIR || './data/store',
+        // Single-file store of earlier versions — moved into STORAGE_DIR on first start
+        filePath: process.env.STORAGE_FILE || './data/fraudshield.json',
+        encryptionKey: process.env.STORAGE_ENCRYPTION_KEY || process.env.SHOPIFY_API_SECRET || '',
+    },
+
+    // FraudShieldBD result cache (see lib/result-cache.js)
+    cache: {
+        // memory, disk or redis — disk unless storage is in memory too
+        driver: process.env.CACHE_DRIVER || (process.env.STORAGE_DRIVER === 'memory' ? 'memory' : 'disk'),
+        dir: process.env.CACHE_DIR || './data/cache',
+        redisUrl: process.env.CACHE_REDIS_URL || 'redis://127.0.0.1:6379',
+        // A Redis command slower than this fails over to the in-process cache
+        redisTimeout: parseInt(process.env.CACHE_REDIS_TIMEOUT_MS, 10) || 1000,
+        // Default freshness (seconds) — shops can override both in settings
+        ttl: parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300,
+        staleTtl: parseInt(process.env.CACHE_STALE_SECONDS, 10) || 3600,
+        // How long a result is kept at all; caps a shop's ttl + stale
+        maxAge: parseInt(process.env.CACHE_MAX_AGE_SECONDS, 10) || 7 * 24 * 3600,
+        negativeTtl: parseInt(process.env.CACHE_NEGATIVE_TTL_SECONDS, 10) || 24 * 3600,
+    },
+
+    // Low-quota guard — per-shop defaults (see lib/quota.js)
+    quota: {
+        // Pause low-value auto-checks when fewer checks than this are left today
+        reserve: parseInt(process.env.QUOTA_RESERVE, 10) || 50,
+        pauseNonCod: process.env.QUOTA_PAUSE_NON_COD !== 'false',
+        minOrderTotal: parseFloat(process.env.QUOTA_MIN_ORDER_TOTAL) || 0,
+    },
+
+    // Circuit breaker around the FraudShieldBD API (see lib/circuit-breaker.js)
+    breaker: {
+        failureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 5,
+        cooldown: (parseInt(process.env.BREAKER_COOLDOWN_SECONDS, 10) || 60) * 1000,
+    },
+
+    // Background job queue (webhook order processing)
+    queue: {
+        concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2,
+        maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5,
+        backoffBase: (parseInt(process.env.QUEUE_BACKOFF_SECONDS, 10) || 30) * 1000,
+    },
+
+    // Bulk phone check (admin CSV upload, /api/check-phones)
+    bulk: {
+        concurrency: parseInt(process.env.BULK_CHECK_CONCURRENCY, 10) || 3,
+        maxRows: parseInt(process.env.BULK_CHECK_MAX_ROWS, 10) || 500,
+        chunkSize: parseInt(process.env.BULK_CHECK_CHUNK, 10) || 25,
+    },
+
+    // Backfill (historical order scan)
+    backfill: {
+        delay: parseInt(process.env.BACKFILL_DELAY_MS, 10) || 1000,
     },
 
     // Behavior
@@ -37,5 +100,8 @@ module.exports = {
         checkCodOnly: process.env.CHECK_COD_ONLY !== 'false',
         autoTagOrders: process.env.AUTO_TAG_ORDERS !== 'false',
         addOrderNotes: process.env.ADD_ORDER_NOTES !== 'false',
+        autoReport: process.env.AUTO_REPORT_ENABLED === 'true',
+        autoReportTags: (process.env.AUTO_REPORT_TAGS || 'returned,refused')
+            .split(',').map(t => t.trim().toLowerCase()).filter(Boolean),
     },
 };
@@ -0,0 +1,255 @@
+/**
+ * FraudShieldBD — Order Risk Block (Admin UI extension)
+ *
+ * Renders the FraudShieldBD result on the order details page: risk badge,
+ * courier breakdown and fraud reports, read from the `fraudshieldbd`
+ * metafields via /api/order-status. "Check now" calls /api/check-order;
+ * "Report" sends the customer to FraudShieldBD via /api/report.
+ *
+ * Relative fetch URLs resolve against the app URL and Shopify adds the
+ * session token automatically, so the app's session-token auth applies.
+ */
+
+import {
+    extension,
+    AdminBlock,
+    BlockStack,
+    InlineStack,
+    Text,
+    Badge,
+    Button,
+    Divider,
+    ProgressIndicator,
+    Select,
+    TextArea,
+} from '@shopify/ui-extensions/admin';
+
+const TARGET = 'admin.order-details.block.render';
+
+const REPORT_REASONS = [
+    { value: 'refused_delivery', label: 'পার্সেল রিফিউজ করেছে' },
+    { value: 'returned', label: 'রিটার্ন করেছে' },
+    { value: 'fake_order', label: 'ফেক অর্ডার' },
+    { value: 'fraud', label: 'প্রতারণা' },
+    { value: 'other', label: 'অন্যান্য' },
+];
+
+const RISK_TONES = {
+    safe: 'success',
+    medium: 'warning',
+    high: 'critical',
+    unknown: 'info',
+};
+
+export default extension(TARGET, (root, api) => {
+    // gid://shopify/Order/123456789 → 123456789
+    const orderId = api.data.selected[0].id.split('/').pop();
+
+    let checking = false;
+    let reporting = false;
+    let reportReason = REPORT_REASONS[0].value;
+    let reportEvidence = '';
+
+    function render(children) {
+        const block = root.createComponent(AdminBlock, { title: '🛡️ FraudShieldBD' });
+        block.appendChild(root.createComponent(BlockStack, { gap: true }, children));
+        root.replaceChildren(block);
+    }
+
+    function text(content, props = {}) {
+        return root.createComponent(Text, props, content);
+    }
+
+    function checkButton() {
+        return root.createComponent(Button, {
+            onPress: checkNow,
+            disabled: checking,
+        }, checking ? 'চেক হচ্ছে...' : '🔍 এখনই চেক করুন');
+    }
+
+    // Submitted report, or the form to send one
+    function reportSection(report) {
+        if (report) {
+            const reason = REPORT_REASONS.find(r => r.value === report.reason);
+            return [
+                root.createComponent(Divider),
+                text(`🚩 FraudShieldBD-তে রিপোর্ট করা হয়েছে: ${reason ? reason.label : report.reason} (${report.reportedAt.slice(0, 10)})`),
+            ];
+        }
+
+        return [
+            root.createComponent(Divider),
+            root.createComponent(Select, {
+                label: 'রিপোর্টের কারণ',
+                options: REPORT_REASONS,
+                value: reportReason,
+                onChange: value => { reportReason = value; },
+            }),
+            root.createComponent(TextArea, {
+                label: 'বিস্তারিত (ঐচ্ছিক)',
+                value: reportEvidence,
+                onChange: value => { reportEvidence = value; },
+            }),
+            root.createComponent(Button, {
+                onPress: reportCustomer,
+                disabled: reporting,
+                tone: 'critical',
+            }, reporting ? 'রিপোর্ট হচ্ছে...' : '🚩 FraudShieldBD-তে রিপোর্ট করুন'),
+        ];
+    }
+
+    function renderStatus(status) {
+        if (!status.checked) {
+            render([text('এই অর্ডার এখনো চেক হয়নি।'), checkButton(), ...reportSection(status.customerReport)]);
+            return;
+        }
+
+        if (status.checked === 'pending') {
+            render([
+                root.createComponent(Badge, { tone: 'attention' }, '⏳ অপেক্ষমাণ'),
+                text('FraudShieldBD সার্ভিস চালু হলে অটো চেক হবে।'),
+                checkButton(),
+            ]);
+            return;
+        }
+
+        // Only the latest attempt counts — a failed check followed by a successful one is not "failed"
+        if (status.checked === 'error') {
+            render([
+                root.createComponent(Badge, { tone: 'critical' }, 'চেক ব্যর্থ'),
+                text(status.error || 'চেক ব্যর্থ'),
+                checkButton(),
+            ]);
+            return;
+        }
+
+        const children = [
+            root.createComponent(InlineStack, { gap: true, blockAlignment: 'center' }, [
+                root.createComponent(Badge, { tone: RISK_TONES[status.riskLevel] || 'info' }, status.riskLabel),
+                ...(status.riskScore !== null && status.riskScore !== undefined
+                    ? [text(`স্কোর: ${status.riskScore}/100`, { fontWeight: 'bold' })]
+                    : []),
+                text(`রেশিও: ${status.successRatio}%`),
+            ]),
+            text(`📦 Total: ${status.totalParcel} | ✅ ${status.successParcel} | ❌ ${status.cancelParcel}`),
+        ];
+
+        // The courier the shop ships with
+        const preferred = status.courierRisk?.preferred;
+        if (preferred) {
+            children.push(root.createComponent(InlineStack, { gap: true, blockAlignment: 'center' }, [
+                text(`🚚 ${preferred.name}:`, { fontWeight: 'bold' }),
+                root.createComponent(Badge, { tone: RISK_TONES[preferred.riskLevel] || 'info' },
+                    preferred.totalParcel > 0 ? `${preferred.successRatio}%` : 'হিস্ট্রি নেই'),
+            ]));
+        }
+
+        // Courier breakdown
+        const couriers = Object.values(status.couriers || {});
+        if (couriers.length > 0) {
+            children.push(root.createComponent(Divider));
+            children.push(text('📋 কুরিয়ার ব্রেকডাউন', { fontWeight: 'bold' }));
+            for (const c of couriers) {
+                const worst = status.courierRisk?.worst?.name === c.name ? ' 📉' : '';
+                children.push(text(
+                    `${c.name}: ${c.totalParcel} (✅${c.successParcel} ❌${c.cancelledParcel}) ${c.successRatio}%${worst}`
+                ));
+            }
+        }
+
+        // Fraud reports
+        const reports = status.reports || [];
+        if (reports.length > 0) {
+            children.push(root.createComponent(Divider));
+            children.push(text(`🚨 ফ্রড রিপোর্ট: ${reports.length} টি`, { fontWeight: 'bold' }));
+            for (const r of reports) {
+                const reason = r.reason || r.details || r.comment || '';
+                const date = r.created_at || r.date || '';
+                children.push(text(`• ${reason}${date ? ` (${date.slice(0, 10)})` : ''}`));
+            }
+        }
+
+        children.push(root.createComponent(Divider));
+        children.push(text(`চেক: ${new Date(status.checkedAt).toLocaleString()}`));
+        children.push(checkButton());
+        children.push(...reportSection(status.customerReport));
+
+        render(children);
+    }
+
+    async function loadStatus() {
+        render([root.createComponent(ProgressIndicator, { size: 'small-200' })]);
+
+        try {
+            const res = await fetch(`api/order-status/${orderId}`);
+            const status = await res.json();
+
+            if (status.success === false) {
+                render([text(status.message || 'ডাটা লোড ব্যর্থ'), checkButton()]);
+                return;
+            }
+
+            renderStatus(status);
+        } catch (err) {
+            render([text(`ডাটা লোড ব্যর্থ: ${err.message}`), checkButton()]);
+        }
+    }
+
+    async function checkNow() {
+        if (checking) return;
+        checking = true;
+        render([root.createComponent(ProgressIndicator, { size: 'small-200' }), checkButton()]);
+
+        try {
+            const res = await fetch('api/check-order', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ orderId }),
+            });
+            const result = await res.json();
+
+            if (!result.success) {
+                checking = false;
+                render([text(result.message || result.error || 'চেক ব্যর্থ'), checkButton()]);
+                return;
+            }
+        } catch (err) {
+            checking = false;
+            render([text(`চেক ব্যর্থ: ${err.message}`), checkButton()]);
+            return;
+        }
+
+        checking = false;
+        await loadStatus();
+    }
+
+    async function reportCustomer() {
+        if (reporting) return;
+        reporting = true;
+        render([root.createComponent(ProgressIndicator, { size: 'small-200' })]);
+
+        try {
+            const res = await fetch('api/report', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ orderId, reason: reportReason, evidence: reportEvidence }),
+            });
+            const result = await res.json();
+
+            if (!result.success && result.error !== 'already_reported') {
+                reporting = false;
+                render([text(result.message || 'রিপোর্ট ব্যর্থ'), ...reportSection(null)]);
+                return;
+            }
+        } catch (err) {
+            reporting = false;
+            render([text(`রিপোর্ট ব্যর্থ: ${err.message}`), ...reportSection(null)]);
+            return;
+        }
+
+        reporting = false;
+        await loadStatus();
+    }
+
+    loadStatus();
+});
@@ -0,0 +1,185 @@
+/**
+ * FraudShieldBD — Backfill
+ *
+ * Checks historical unpaid orders (placed before install or while the
+ * app was down). Each page of orders is a job on a dedicated queue, so
+ * a backfill resumes where it left off after a restart. Orders already
+ * checked are skipped.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const JobQueue = require('./job-queue');
+const ShopStore = require('./shop-store');
+const ShopifyClient = require('./shopify-client');
+const { processOrderOnce } = require('./order-queue');
+const { getStorage } = require('./storage');
+
+const COLLECTION = 'backfills';
+
+const shopStore = new ShopStore();
+
+const backfillQueue = new JobQueue({
+    name: 'backfill_jobs',
+    concurrency: 1,
+    maxAttempts: config.queue.maxAttempts,
+    backoffBase: config.queue.backoffBase,
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the latest backfill run for a shop
+ * @returns {Promise<object|null>}
+ */
+async function getBackfill(shop) {
+    return getStorage().get(COLLECTION, shop);
+}
+
+async function saveBackfill(run) {
+    await getStorage().set(COLLECTION, run.shop, { ...run, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Start a backfill for a date range (one running backfill per shop)
+ * @param {string} shop
+ * @param {object} range
+ * @param {string} range.from - ISO date-time (created_at_min)
+ * @param {string} range.to - ISO date-time (created_at_max)
+ * @returns {Promise<object>} The new run
+ * @throws {Error} If a backfill is already running
+ */
+async function startBackfill(shop, { from, to }) {
+    const current = await getBackfill(shop);
+    if (current && current.status === 'running') {
+        throw new Error('A backfill is already running for this shop.');
+    }
+
+    const run = {
+        id: crypto.randomUUID(),
+        shop,
+        from,
+        to,
+        status: 'running',
+        pages: 0,
+        scanned: 0,
+        checked: 0,
+        skipped: 0,
+        ignored: 0,
+        pending: 0,
+        failed: 0,
+        cursor: null,
+        pageOffset: 0,
+        lastError: null,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+    };
+
+    await saveBackfill(run);
+    await backfillQueue.enqueue('backfill-page', { shop, runId: run.id, pageInfo: null });
+    return run;
+}
+
+/**
+ * Stop a running backfill after the current order
+ * @returns {Promise<object|null>}
+ */
+async function cancelBackfill(shop) {
+    const run = await getBackfill(shop);
+    if (!run || run.status !== 'running') return run;
+
+    const cancelled = { ...run, status: 'cancelled', finishedAt: new Date().toISOString() };
+    await saveBackfill(cancelled);
+    return cancelled;
+}
+
+/**
+ * Wait long enough for Shopify's leaky bucket (e.g. "32/40") to drain below half
+ */
+async function paceShopify(callLimit) {
+    const [used, limit] = String(callLimit || '').split('/').map(Number);
+    if (!used || !limit) return;
+
+    const excess = used - limit / 2;
+    if (excess > 0) {
+        // REST bucket leaks 2 calls per second
+        await sleep((excess / 2) * 1000);
+    }
+}
+
+/**
+ * Process one page of orders, then queue the next page
+ * data: { shop, runId, pageInfo }
+ */
+backfillQueue.register('backfill-page', async ({ shop, runId, pageInfo }, job) => {
+    let run = await getBackfill(shop);
+    if (!run || run.id !== runId || run.status !== 'running') return;
+
+    const accessToken = await shopStore.getAccessToken(shop);
+    if (!accessToken) {
+        await saveBackfill({ ...run, status: 'failed', lastError: 'Shop not authenticated', finishedAt: new Date().toISOString() });
+        return;
+    }
+
+    const shopify = new ShopifyClient(shop, accessToken);
+
+    try {
+        const page = await shopify.getOrdersPage({
+            financial_status: 'unpaid',
+            created_at_min: run.from,
+            created_at_max: run.to,
+        }, pageInfo);
+        await paceShopify(page.callLimit);
+
+        // A retried page resumes after the orders it already handled
+        const offset = run.cursor === pageInfo ? run.pageOffset : 0;
+
+        for (const [index, order] of page.orders.entries()) {
+            if (index < offset) continue;
+
+            run = await getBackfill(shop);
+            if (!run || run.id !== runId || run.status !== 'running') return;
+
+            const status = await processOrderOnce(shop, order, { skipIfChecked: true, manual: true });
+
+            await saveBackfill({
+                ...run,
+                scanned: run.scanned + 1,
+                checked: run.checked + (status === 'checked' ? 1 : 0),
+                skipped: run.skipped + (status === 'skipped' ? 1 : 0),
+                ignored: run.ignored + (status === 'ignored' ? 1 : 0),
+                pending: (run.pending || 0) + (status === 'pending' ? 1 : 0),
+                failed: run.failed + (status === 'error' ? 1 : 0),
+                cursor: pageInfo,
+                pageOffset: index + 1,
+            });
+
+            if (status === 'checked') await sleep(config.backfill.delay);
+        }
+
+        run = await getBackfill(shop);
+        if (!run || run.id !== runId || run.status !== 'running') return;
+
+        if (page.nextPageInfo) {
+            await saveBackfill({ ...run, pages: run.pages + 1, cursor: page.nextPageInfo, pageOffset: 0 });
+            await backfillQueue.enqueue('backfill-page', { shop, runId, pageInfo: page.nextPageInfo });
+        } else {
+            await saveBackfill({ ...run, pages: run.pages + 1, status: 'completed', finishedAt: new Date().toISOString() });
+            console.log(`[FSBD] ✅ Backfill completed for ${shop}: ${run.checked} checked, ${run.skipped} skipped`);
+        }
+    } catch (err) {
+        // Temporary failure (e.g. FraudShieldBD rate limit): the queue retries this page
+        const latest = await getBackfill(shop);
+        if (latest && latest.id === runId) {
+            const lastAttempt = job.attempts >= backfillQueue.maxAttempts;
+            await saveBackfill({
+                ...latest,
+                lastError: err.message,
+                ...(lastAttempt ? { status: 'failed', finishedAt: new Date().toISOString() } : {}),
+            });
+        }
+        throw err;
+    }
+});
+
+module.exports = { backfillQueue, startBackfill, cancelBackfill, getBackfill };
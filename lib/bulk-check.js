@@ -0,0 +1,386 @@
+/**
+ * FraudShieldBD — Bulk Phone Check
+ *
+ * Checks a batch of phone numbers (e.g. a call-centre spreadsheet of
+ * the morning's COD orders) with bounded concurrency. Every row gets a
+ * result: numbers lib/phone.js or the API rejects are flagged "invalid"
+ * (with the reason) and API failures "error" — neither stops the batch.
+ * A row with several numbers is checked by the first valid one. A number
+ * appearing on several rows is checked once. The shop's blocklist / allowlist apply
+ * as for a manual check.
+ *
+ * An upload runs as a background job: each chunk of rows is a job on a
+ * dedicated queue, so the HTTP request returns at once and the admin
+ * polls the run for progress. Results download as CSV or XLSX.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const JobQueue = require('./job-queue');
+const FraudShieldAPI = require('./fraudshield-api');
+const { resolveSettings } = require('./settings');
+const { getStorage } = require('./storage');
+const { checkPhoneWithLists } = require('./phone-lists');
+const { recordPhoneCheck } = require('./phone-history');
+const { parseCsv, toCsv } = require('./csv');
+const { toXlsx } = require('./xlsx');
+const { extractPhones, operatorFor } = require('./phone');
+
+// Header names recognized as the phone column
+const PHONE_HEADER = /phone|mobile|contact|ফোন|মোবাইল/i;
+
+// API errors every further call would repeat — the rest of the batch is skipped
+const FATAL_ERRORS = ['no_api_key', 'unauthorized', 'no_subscription', 'forbidden', 'service_down'];
+
+const COLLECTION = 'bulk_checks';
+
+// Finished runs kept per shop (for downloads)
+const KEEP_RUNS = 10;
+
+const bulkQueue = new JobQueue({
+    name: 'bulk_jobs',
+    concurrency: 1,
+    maxAttempts: config.queue.maxAttempts,
+    backoffBase: config.queue.backoffBase,
+});
+
+const RESULT_COLUMNS = [
+    'FSBD Phone', 'FSBD Operator', 'FSBD Status', 'FSBD Risk', 'FSBD Score', 'FSBD Ratio %',
+    'FSBD Total', 'FSBD Success', 'FSBD Cancelled', 'FSBD Reports', 'FSBD List', 'FSBD Message',
+];
+
+/**
+ * Run `fn` over items, at most `limit` at a time, keeping order
+ */
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * One output row for a checked (or rejected) number
+ */
+function resultRow(row, input, phone, result) {
+    if (!phone) {
+        return { row, input, phone: null, status: 'invalid', reason: result.reason, message: result.message };
+    }
+    if (!result.success && result.error === 'invalid_phone') {
+        return { row, input, phone, status: 'invalid', message: result.message };
+    }
+    if (!result.success) {
+        return { row, input, phone, status: 'error', error: result.error, message: result.message };
+    }
+
+    return {
+        row,
+        input,
+        phone,
+        operator: operatorFor(phone)?.name || null,
+        status: 'ok',
+        riskLevel: result.riskLevel,
+        riskLabel: result.riskLabel,
+        riskScore: result.riskScore ?? null,
+        successRatio: result.summary.successRatio,
+        totalParcel: result.summary.totalParcel,
+        successParcel: result.summary.successParcel,
+        cancelledParcel: result.summary.cancelledParcel,
+        reportCount: result.reportCount,
+        listed: result.listed || null,
+        fromCache: Boolean(result.fromCache),
+    };
+}
+
+/**
+ * Check a list of phone numbers
+ * @param {string} shop
+ * @param {FraudShieldAPI} client - Configured with the shop's settings
+ * @param {string[]} inputs - Raw phone numbers, one per row
+ * @param {object} [options]
+ * @param {number} [options.concurrency]
+ * @param {number} [options.offset] - Rows before `inputs` (for row numbers)
+ * @param {object[]} [options.earlier] - Results of earlier rows; their numbers are not checked again
+ * @param {object} [options.fatal] - A fatal API error from earlier rows
+ * @returns {Promise<object[]>} One result per input, in order
+ */
+async function checkPhones(shop, client, inputs, {
+    concurrency = config.bulk.concurrency,
+    offset = 0,
+    earlier = [],
+    fatal = null,
+} = {}) {
+    const checks = new Map();
+    const known = new Map(earlier.filter(r => r.phone && r.status !== 'error').map(r => [r.phone, r]));
+
+    async function check(phone) {
+        if (fatal) return fatal;
+
+        const result = await checkPhoneWithLists(shop, client, phone);
+        if (!result.success && FATAL_ERRORS.includes(result.error)) fatal = result;
+
+        if (result.success && !result.fromList) {
+            try {
+                await recordPhoneCheck(shop, phone, null, result);
+            } catch (err) {
+                console.error('[FSBD] Failed to record phone history:', err.message);
+            }
+        }
+        return result;
+    }
+
+    return mapLimit(inputs, concurrency, async (input, i) => {
+        const row = offset + i + 1;
+        const raw = String(input ?? '').trim();
+        const parsed = extractPhones(raw);
+        if (parsed.phones.length === 0) return resultRow(row, raw, null, parsed.error);
+
+        const { phone } = parsed.phones[0];
+
+        // Same number on several rows — one API call
+        if (known.has(phone)) return { ...known.get(phone), row, input: raw };
+        if (!checks.has(phone)) checks.set(phone, check(phone));
+        return resultRow(row, raw, phone, await checks.get(phone));
+    });
+}
+
+/**
+ * Find the phone column of a sheet: a header like "Phone" / "ফোন", else
+ * the column with the most valid numbers in the first rows
+ * @param {string[][]} rows
+ * @param {FraudShieldAPI} client
+ * @returns {{column: number, hasHeader: boolean}}
+ */
+function findPhoneColumn(rows, client) {
+    const first = rows[0] || [];
+    const headerColumn = first.findIndex(cell => PHONE_HEADER.test(cell) && !client.sanitizePhone(cell));
+    if (headerColumn !== -1) return { column: headerColumn, hasHeader: true };
+
+    const sample = rows.slice(0, 20);
+    const width = Math.max(...sample.map(r => r.length));
+    let column = 0;
+    let best = -1;
+    for (let c = 0; c < width; c++) {
+        const valid = sample.filter(r => client.sanitizePhone(r[c] || '')).length;
+        if (valid > best) {
+            best = valid;
+            column = c;
+        }
+    }
+
+    // A first row without a valid number in that column is a header
+    return { column, hasHeader: rows.length > 1 && !client.sanitizePhone(first[column] || '') };
+}
+
+/**
+ * Read an uploaded CSV: header row (if any), data rows and phone column
+ * @param {string} text - CSV text
+ * @param {FraudShieldAPI} client
+ * @param {object} [options]
+ * @param {number} [options.column] - Zero-based phone column (detected if omitted)
+ * @returns {{header: string[]|null, rows: string[][], column: number}}
+ */
+function readSheet(text, client, { column } = {}) {
+    const all = parseCsv(text);
+    const detected = findPhoneColumn(all, client);
+
+    return {
+        header: detected.hasHeader ? all[0] : null,
+        rows: detected.hasHeader ? all.slice(1) : all,
+        column: column ?? detected.column,
+    };
+}
+
+/**
+ * Number of columns in the uploaded sheet
+ */
+function sheetWidth(header, rows) {
+    return Math.max(header ? header.length : 0, ...rows.map(r => r.length));
+}
+
+/**
+ * The uploaded sheet with result columns appended
+ * @param {string[]|null} header - Original header row, if any
+ * @param {string[][]} rows - Original rows
+ * @param {object[]} results - From checkPhones()
+ * @returns {Array<Array<*>>} Header row, then one row per result
+ */
+function resultsTable(header, rows, results) {
+    const width = sheetWidth(header, rows);
+    const pad = r => [...r, ...new Array(width - r.length).fill('')];
+
+    const out = [[...pad(header || new Array(width).fill('').map((_, i) => `Column ${i + 1}`)), ...RESULT_COLUMNS]];
+    results.forEach((r, i) => {
+        out.push([
+            ...pad(rows[i] || [r.input]),
+            r.phone || '',
+            r.operator || '',
+            r.status,
+            r.riskLevel || '',
+            r.riskScore ?? '',
+            r.successRatio ?? '',
+            r.totalParcel ?? '',
+            r.successParcel ?? '',
+            r.cancelledParcel ?? '',
+            r.reportCount ?? '',
+            r.listed || '',
+            r.message || '',
+        ]);
+    });
+
+    return out;
+}
+
+/**
+ * resultsTable() as CSV text. Both phone columns (the uploaded one and
+ * FSBD Phone) are quoted so they stay text.
+ * @param {number} [column] - Zero-based phone column of the upload
+ */
+function resultsCsv(header, rows, results, column) {
+    const quoteColumns = [sheetWidth(header, rows), ...(column === undefined ? [] : [column])];
+    return toCsv(resultsTable(header, rows, results), { quoteColumns });
+}
+
+/**
+ * resultsTable() as an .xlsx workbook
+ * @returns {Buffer}
+ */
+function resultsXlsx(header, rows, results) {
+    return toXlsx(resultsTable(header, rows, results), { sheetName: 'FraudShieldBD' });
+}
+
+/**
+ * Counts per status
+ */
+function summarizeResults(results) {
+    const summary = { total: results.length, ok: 0, invalid: 0, error: 0, high: 0, medium: 0, safe: 0, unknown: 0 };
+    for (const r of results) {
+        summary[r.status]++;
+        if (r.status === 'ok') summary[r.riskLevel]++;
+    }
+    return summary;
+}
+
+// ── Background runs ───────────────────────────
+
+/**
+ * Get a bulk check run of a shop
+ * @returns {Promise<object|null>}
+ */
+async function getBulkCheck(shop, id) {
+    return getStorage().get(COLLECTION, `${shop}:${id}`);
+}
+
+async function saveBulkCheck(run) {
+    await getStorage().set(COLLECTION, `${run.shop}:${run.id}`, { ...run, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Drop the oldest finished runs of a shop beyond KEEP_RUNS
+ */
+async function pruneBulkChecks(shop) {
+    const storage = getStorage();
+    const finished = (await storage.list(COLLECTION))
+        .filter(({ value }) => value.shop === shop && value.status !== 'running')
+        .sort((a, b) => String(b.value.startedAt).localeCompare(String(a.value.startedAt)));
+
+    const stale = finished.slice(KEEP_RUNS).map(({ key }) => key);
+    if (stale.length > 0) await storage.deleteMany(COLLECTION, stale);
+}
+
+/**
+ * Queue a bulk check of a sheet
+ * @param {string} shop
+ * @param {{header: string[]|null, rows: string[][], column: number}} sheet - From readSheet()
+ * @returns {Promise<object>} The new run
+ */
+async function startBulkCheck(shop, sheet) {
+    const run = {
+        id: crypto.randomUUID(),
+        shop,
+        status: 'running',
+        header: sheet.header,
+        rows: sheet.rows,
+        column: sheet.column,
+        total: sheet.rows.length,
+        done: 0,
+        results: [],
+        fatal: null,
+        lastError: null,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+    };
+
+    await saveBulkCheck(run);
+    await bulkQueue.enqueue('bulk-check-chunk', { shop, runId: run.id });
+    return run;
+}
+
+/**
+ * Check the next chunk of rows, then queue the rest
+ * data: { shop, runId }
+ */
+bulkQueue.register('bulk-check-chunk', async ({ shop, runId }, job) => {
+    const run = await getBulkCheck(shop, runId);
+    if (!run || run.status !== 'running') return;
+
+    try {
+        const settings = await resolveSettings(shop);
+        const client = new FraudShieldAPI(null, settings);
+
+        // After a fatal API error the remaining rows are flagged without calls
+        const end = run.fatal ? run.total : Math.min(run.done + config.bulk.chunkSize, run.total);
+        const inputs = run.rows.slice(run.done, end).map(r => r[run.column] || '');
+        const results = await checkPhones(shop, client, inputs, {
+            offset: run.done,
+            earlier: run.results,
+            fatal: run.fatal,
+        });
+
+        const fatal = run.fatal || results.find(r => r.status === 'error' && FATAL_ERRORS.includes(r.error));
+        const updated = {
+            ...run,
+            done: end,
+            results: [...run.results, ...results],
+            fatal: fatal ? { success: false, error: fatal.error, message: fatal.message } : null,
+            lastError: null,
+        };
+
+        if (end < run.total) {
+            await saveBulkCheck(updated);
+            await bulkQueue.enqueue('bulk-check-chunk', { shop, runId });
+        } else {
+            await saveBulkCheck({ ...updated, status: 'completed', finishedAt: new Date().toISOString() });
+            await pruneBulkChecks(shop);
+            console.log(`[FSBD] ✅ Bulk check completed for ${shop}: ${run.total} rows`);
+        }
+    } catch (err) {
+        const lastAttempt = job.attempts >= bulkQueue.maxAttempts;
+        await saveBulkCheck({
+            ...run,
+            lastError: err.message,
+            ...(lastAttempt ? { status: 'failed', finishedAt: new Date().toISOString() } : {}),
+        });
+        throw err;
+    }
+});
+
+module.exports = {
+    bulkQueue,
+    checkPhones,
+    readSheet,
+    findPhoneColumn,
+    resultsCsv,
+    resultsXlsx,
+    summarizeResults,
+    startBulkCheck,
+    getBulkCheck,
+};
@@ -0,0 +1,113 @@
+/**
+ * FraudShieldBD — Circuit Breaker
+ *
+ * Stops calling the FraudShieldBD API while it is down, so webhooks
+ * fail fast instead of each waiting for the request timeout.
+ *   - closed:    requests go through; outages (timeouts, connection
+ *                errors, 5xx) are counted
+ *   - open:      after `failureThreshold` outages in a row — requests are
+ *                refused until `cooldown` has passed
+ *   - half_open: one probe request is let through; success closes the
+ *                breaker ("close" event), another outage re-opens it
+ *
+ * State is per process.
+ */
+
+const EventEmitter = require('events');
+const config = require('../config');
+
+class CircuitBreaker extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.failureThreshold] - Outages in a row that open the breaker
+     * @param {number} [options.cooldown] - Time (ms) before a probe request is allowed
+     */
+    constructor(options = {}) {
+        super();
+        this.failureThreshold = options.failureThreshold || 5;
+        this.cooldown = options.cooldown || 60000;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Whether a request may be sent now. Moves an open breaker whose
+     * cooldown has passed to half_open (the caller's request is the probe).
+     * @returns {boolean}
+     */
+    allowRequest() {
+        if (this.state === 'closed') return true;
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldown) {
+            this.state = 'half_open';
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether an open breaker's cooldown has passed (a probe would be let through)
+     */
+    probeDue() {
+        return this.state === 'open' && Date.now() - this.openedAt >= this.cooldown;
+    }
+
+    /**
+     * The service answered (any non-5xx response)
+     */
+    recordSuccess() {
+        const recovered = this.state !== 'closed';
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+
+        if (recovered) {
+            console.log('[FSBD] ✅ FraudShieldBD API is back — circuit closed');
+            this.emit('close');
+        }
+    }
+
+    /**
+     * The service is unreachable or failing
+     * @param {string} message
+     */
+    recordFailure(message) {
+        this.failures++;
+        this.lastError = message;
+
+        if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            const opening = this.state === 'closed';
+            this.state = 'open';
+            this.openedAt = Date.now();
+
+            if (opening) {
+                console.warn(`[FSBD] ⚠️ FraudShieldBD API unavailable (${message}) — circuit open`);
+                this.emit('open');
+            }
+        }
+    }
+
+    /**
+     * Current state for the admin panel
+     * @returns {{state: string, failures: number, openedAt: string|null, retryAt: string|null, lastError: string|null}}
+     */
+    status() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.openedAt ? new Date(this.openedAt + this.cooldown).toISOString() : null,
+            lastError: this.lastError,
+        };
+    }
+}
+
+// Breaker shared by every FraudShieldAPI client in this process
+const apiBreaker = new CircuitBreaker({
+    failureThreshold: config.breaker.failureThreshold,
+    cooldown: config.breaker.cooldown,
+});
+
+module.exports = { CircuitBreaker, apiBreaker };
@@ -0,0 +1,169 @@
+/**
+ * FraudShieldBD — Courier Risk
+ *
+ * Rates the customer on each courier separately. Every courier in the
+ * FraudShieldBD breakdown gets a risk level from its success ratio,
+ * using the shop's per-courier thresholds where set and the shop-wide
+ * thresholds otherwise. Two signals come out of it:
+ *   - preferred: the courier the shop ships with (tagged fsbd:<courier>-<level>)
+ *   - worst: the courier with the lowest success ratio
+ *
+ * Courier keys are FraudShieldBD's (steadfast, pathao, redx, …), lowercased.
+ */
+
+const COURIER_KEY = /^[a-z0-9_-]{1,30}$/;
+
+// Tags written by courierTag() (and the old fsbd:<courier>-unknown)
+const COURIER_TAG = /^fsbd:[a-z0-9_-]{1,30}-(high|medium|safe|unknown)$/;
+
+/**
+ * Risk level for a courier's history
+ * @param {object} courier - { totalParcel, successRatio }
+ * @param {object} thresholds - { thresholdHigh, thresholdMedium }
+ * @returns {string} high | medium | safe | unknown
+ */
+function courierLevel(courier, { thresholdHigh, thresholdMedium }) {
+    if (!courier || courier.totalParcel === 0) return 'unknown';
+    if (courier.successRatio < thresholdHigh) return 'high';
+    if (courier.successRatio < thresholdMedium) return 'medium';
+    return 'safe';
+}
+
+/**
+ * Thresholds for one courier
+ * @param {string} key
+ * @param {object} settings - Shop settings
+ */
+function thresholdsFor(key, settings) {
+    return (settings.courierThresholds || {})[key] || {
+        thresholdHigh: settings.thresholdHigh,
+        thresholdMedium: settings.thresholdMedium,
+    };
+}
+
+/**
+ * Summary of one courier for the signals
+ */
+function signal(key, courier, riskLevel, thresholds) {
+    return {
+        courier: key,
+        name: courier ? courier.name : key,
+        totalParcel: courier ? courier.totalParcel : 0,
+        successRatio: courier ? courier.successRatio : null,
+        riskLevel,
+        thresholdHigh: thresholds.thresholdHigh,
+        thresholdMedium: thresholds.thresholdMedium,
+    };
+}
+
+/**
+ * Evaluate every courier of a check result
+ * @param {object} couriers - FraudShieldAPI result `couriers`
+ * @param {object} settings - Shop settings ({ thresholdHigh, thresholdMedium, courierThresholds, preferredCourier })
+ * @returns {{couriers: object, courierRisk: {preferred: object|null, worst: object|null}}}
+ */
+function evaluateCouriers(couriers, settings) {
+    const rated = {};
+    let worst = null;
+
+    for (const [rawKey, courier] of Object.entries(couriers || {})) {
+        const key = rawKey.toLowerCase();
+        const thresholds = thresholdsFor(key, settings);
+        const riskLevel = courierLevel(courier, thresholds);
+        rated[rawKey] = { ...courier, riskLevel };
+
+        if (courier.totalParcel === 0) continue;
+        if (!worst ||
+            courier.successRatio < worst.successRatio ||
+            (courier.successRatio === worst.successRatio && courier.totalParcel > worst.totalParcel)) {
+            worst = signal(key, courier, riskLevel, thresholds);
+        }
+    }
+
+    let preferred = null;
+    if (settings.preferredCourier) {
+        const key = settings.preferredCourier;
+        const rawKey = Object.keys(couriers || {}).find(k => k.toLowerCase() === key);
+        const courier = rawKey ? couriers[rawKey] : null;
+        const thresholds = thresholdsFor(key, settings);
+        preferred = signal(key, courier, courierLevel(courier, thresholds), thresholds);
+    }
+
+    return { couriers: rated, courierRisk: { preferred, worst } };
+}
+
+/**
+ * Tag for the preferred courier's level, e.g. fsbd:steadfast-high.
+ * None when the customer has no parcels with that courier.
+ * @returns {string|null}
+ */
+function courierTag(courierRisk) {
+    const preferred = courierRisk && courierRisk.preferred;
+    if (!preferred || preferred.riskLevel === 'unknown') return null;
+    return `fsbd:${preferred.courier}-${preferred.riskLevel}`;
+}
+
+/**
+ * Courier tags already on an order (from an earlier check)
+ * @param {string|string[]} tags - Shopify order `tags`
+ * @returns {string[]}
+ */
+function courierTagsOf(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return list.map(t => t.trim()).filter(t => COURIER_TAG.test(t));
+}
+
+/**
+ * Validate preferredCourier / courierThresholds from a settings update
+ * @param {object} input - Partial settings
+ * @returns {{errors: string[], changes: object}}
+ */
+function validateCourierSettings(input) {
+    const errors = [];
+    const changes = {};
+
+    if (input.preferredCourier !== undefined) {
+        const key = String(input.preferredCourier || '').trim().toLowerCase();
+        if (key && !COURIER_KEY.test(key)) {
+            errors.push('preferredCourier must be a courier key like "steadfast"');
+        } else {
+            changes.preferredCourier = key;
+        }
+    }
+
+    if (input.courierThresholds !== undefined) {
+        const map = input.courierThresholds;
+        if (!map || typeof map !== 'object' || Array.isArray(map)) {
+            errors.push('courierThresholds must be an object');
+        } else {
+            const cleaned = {};
+            for (const [rawKey, t] of Object.entries(map)) {
+                const key = rawKey.trim().toLowerCase();
+                const label = `courierThresholds.${rawKey}`;
+                const high = Number(t && t.thresholdHigh);
+                const medium = Number(t && t.thresholdMedium);
+
+                if (!COURIER_KEY.test(key)) {
+                    errors.push(`${label}: invalid courier key`);
+                } else if (![high, medium].every(v => Number.isInteger(v) && v >= 0 && v <= 100)) {
+                    errors.push(`${label}: thresholdHigh and thresholdMedium must be whole numbers between 0 and 100`);
+                } else if (high >= medium) {
+                    errors.push(`${label}: thresholdHigh must be lower than thresholdMedium`);
+                } else {
+                    cleaned[key] = { thresholdHigh: high, thresholdMedium: medium };
+                }
+            }
+            changes.courierThresholds = cleaned;
+        }
+    }
+
+    return { errors, changes };
+}
+
+module.exports = {
+    courierLevel,
+    evaluateCouriers,
+    courierTag,
+    courierTagsOf,
+    validateCourierSettings,
+};
@@ -0,0 +1,81 @@
+/**
+ * FraudShieldBD — CSV
+ *
+ * Minimal RFC 4180 reader / writer for spreadsheet uploads and
+ * downloads (quoted fields, escaped quotes, CRLF or LF line endings).
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text
+ * @returns {string[][]} Rows (blank lines skipped)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(r => r.map(c => c.trim()))
+        .filter(r => r.some(c => c !== ''));
+}
+
+/**
+ * Quote a cell if needed. Text a spreadsheet could run as a formula
+ * (starting with =, +, -, @, tab or CR) is prefixed with ' — numbers
+ * are written as they are.
+ * @param {*} value
+ * @param {boolean} [quote] - Always quote (e.g. phone numbers)
+ */
+function csvCell(value, quote = false) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return quote || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text (with a BOM so Excel reads Bangla as UTF-8)
+ * @param {Array<Array<*>>} rows
+ * @param {object} [options]
+ * @param {number[]} [options.quoteColumns] - Zero-based columns quoted in every row
+ * @returns {string}
+ */
+function toCsv(rows, { quoteColumns = [] } = {}) {
+    const lines = rows.map(row => row.map((cell, i) => csvCell(cell, quoteColumns.includes(i))).join(','));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv, csvCell };
@@ -0,0 +1,70 @@
+/**
+ * FraudShieldBD — Delivery Outcomes
+ *
+ * Turns Shopify webhooks into an order's final delivery outcome:
+ *   - fulfillments/create, fulfillments/update: shipment_status
+ *     "delivered" → delivered, "failure" → returned
+ *   - orders/cancelled → cancelled
+ *   - orders/updated with one of the shop's auto-report tags (returned /
+ *     refused by default) → returned, for merchants who mark returns by hand
+ *
+ * Outcomes are only kept for orders FraudShieldBD has checked.
+ */
+
+const OrderChecker = require('./order-checker');
+const { resolveSettings } = require('./settings');
+const { recordOrderOutcome } = require('./order-results');
+
+/**
+ * Outcome implied by a fulfillment payload
+ * @returns {string|null}
+ */
+function fulfillmentOutcome(fulfillment) {
+    if (!fulfillment) return null;
+    if (fulfillment.shipment_status === 'delivered') return 'delivered';
+    if (fulfillment.shipment_status === 'failure') return 'returned';
+    return null;
+}
+
+/**
+ * Outcome implied by an order payload
+ * @param {object} order
+ * @param {string[]} autoReportTags - The shop's `autoReportTags` setting
+ * @returns {string|null}
+ */
+function orderOutcome(order, autoReportTags) {
+    if (!order) return null;
+    if (order.cancelled_at) return 'cancelled';
+    if (OrderChecker.autoReportReason(order, autoReportTags)) return 'returned';
+    return null;
+}
+
+/**
+ * Record the outcome of a fulfillment webhook
+ * @returns {Promise<string|null>} The order's outcome, null if not checked
+ */
+async function recordFulfillmentOutcome(shop, fulfillment) {
+    const outcome = fulfillmentOutcome(fulfillment);
+    if (!outcome || !fulfillment.order_id) return null;
+
+    return recordOrderOutcome(shop, fulfillment.order_id, outcome);
+}
+
+/**
+ * Record the outcome of an orders/cancelled or orders/updated webhook
+ * @returns {Promise<string|null>} The order's outcome, null if not checked
+ */
+async function recordOrderPayloadOutcome(shop, order) {
+    const { autoReportTags } = await resolveSettings(shop);
+    const outcome = orderOutcome(order, autoReportTags);
+    if (!outcome) return null;
+
+    return recordOrderOutcome(shop, order.id, outcome);
+}
+
+module.exports = {
+    fulfillmentOutcome,
+    orderOutcome,
+    recordFulfillmentOutcome,
+    recordOrderPayloadOutcome,
+};
@@ -2,39 +2,84 @@
  * FraudShieldBD API Client
  *
  * Handles all communication with the FraudShieldBD API.
- * Features: phone sanitization, caching, risk calculation, error handling.
+ * Features: phone normalization, caching, risk scoring, error handling.
  */
 
 const fetch = require('node-fetch');
-const NodeCache = require('node-cache');
 const config = require('../config');
-
-// Cache: 5 minute TTL (same as WordPress plugin)
-const cache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
+const { DEFAULT_WEIGHTS, scoreInputs, computeRiskScore, levelForScore } = require('./risk-score');
+const { evaluateCouriers } = require('./courier-risk');
+const { getResultCache } = require('./result-cache');
+const { recordUsage } = require('./quota');
+const { apiBreaker } = require('./circuit-breaker');
+const { extractPhones } = require('./phone');
+
+// Background refreshes of stale results in flight, by phone
+const refreshing = new Map();
+
+// Display for each risk level
+const RISK_DISPLAY = {
+    unknown: { riskLabel: 'অজানা', riskIcon: '❓', riskColor: '#6b7280' },
+    high: { riskLabel: 'হাই রিস্ক', riskIcon: '⛔', riskColor: '#dc2626' },
+    medium: { riskLabel: 'মিডিয়াম রিস্ক', riskIcon: '⚠️', riskColor: '#d97706' },
+    safe: { riskLabel: 'সেফ', riskIcon: '✅', riskColor: '#16a34a' },
+};
+
+// Error codes with which the API rejects the phone number itself
+const PHONE_ERROR_CODES = ['invalid_phone', 'invalid_phone_number', 'invalid_number'];
+
+// Reasons accepted by the report endpoint
+const REPORT_REASONS = ['refused_delivery', 'returned', 'fake_order', 'fraud', 'other'];
 
 class FraudShieldAPI {
-    constructor(apiKey = null) {
-        this.apiKey = apiKey || config.fraudshield.apiKey;
+    /**
+     * @param {string|null} apiKey - Overrides the configured API key
+     * @param {object|null} settings - Shop settings (see lib/settings.js)
+     */
+    constructor(apiKey = null, settings = null) {
+        this.apiKey = apiKey || settings?.apiKey || config.fraudshield.apiKey;
         this.apiUrl = config.fraudshield.apiUrl;
         this.timeout = 20000; // 20 seconds
+        this.thresholdHigh = settings?.thresholdHigh ?? config.risk.thresholdHigh;
+        this.thresholdMedium = settings?.thresholdMedium ?? config.risk.thresholdMedium;
+        this.scoreWeights = settings?.scoreWeights ?? DEFAULT_WEIGHTS;
+        this.preferredCourier = settings?.preferredCourier ?? config.risk.preferredCourier;
+        this.courierThresholds = settings?.courierThresholds ?? {};
+        this.cacheTtl = settings?.cacheTtl ?? config.cache.ttl;
+        this.cacheStaleTtl = settings?.cacheStaleTtl ?? config.cache.staleTtl;
+        this.cache = getResultCache();
     }
 
     /**
-     * Check a phone number against FraudShieldBD
-     * @param {string} phone - Bangladeshi phone number
+     * Check a phone number against FraudShieldBD. A field with several
+     * numbers is checked by its first valid one; the rest are returned
+     * as `otherPhones`.
+     * @param {string} phone - Bangladeshi phone number (as typed)
+     * @param {object} [options]
+     * @param {boolean} [options.fresh] - Skip the cache (manual re-check)
      * @returns {Promise<object>} Parsed result or error object
      */
-    async checkPhone(phone) {
-        // Sanitize phone
-        phone = this.sanitizePhone(phone);
-        if (!phone) {
-            return {
-                success: false,
-                error: 'invalid_phone',
-                message: 'ভ্যালিড বাংলাদেশি ফোন নম্বর দিন (01XXXXXXXXX)',
-            };
-        }
+    async checkPhone(phone, { fresh = false } = {}) {
+        // Normalize phone
+        const parsed = extractPhones(phone);
+        if (parsed.phones.length === 0) return this.invalidInputResult(parsed.error);
+
+        const [{ operator }, ...others] = parsed.phones;
+        phone = parsed.phones[0].phone;
+        const result = await this.lookupPhone(phone, { fresh });
+
+        return result.success
+            ? { ...result, phone, operator, otherPhones: others.map(p => p.phone) }
+            : result;
+    }
 
+    /**
+     * Result for a normalized phone: cache, else the API
+     * @param {string} phone - Sanitized phone
+     * @param {object} [options]
+     * @param {boolean} [options.fresh] - Skip the cache; a failed call leaves the cached result in place
+     */
+    async lookupPhone(phone, { fresh = false } = {}) {
         // Check API key
         if (!this.apiKey) {
             return {
@@ -44,14 +89,26 @@ class FraudShieldAPI {
             };
         }
 
-        // Check cache
-        const cacheKey = `fsbd_${phone}`;
-        const cached = cache.get(cacheKey);
+        // Check cache — a stale result is served while it is refreshed
+        const cached = !fresh && await this.cache.lookup(phone, { ttl: this.cacheTtl, staleTtl: this.cacheStaleTtl });
         if (cached) {
-            return { ...cached, fromCache: true };
+            if (cached.stale) this.revalidate(phone);
+            return this.fromCache(cached);
         }
 
-        // Make API request
+        return this.fetchResult(phone);
+    }
+
+    /**
+     * Call the check endpoint and cache the result
+     * @param {string} phone - Sanitized phone
+     * @returns {Promise<object>} Parsed result or error object
+     */
+    async fetchResult(phone) {
+        // FraudShieldBD is down — fail fast until the breaker lets a probe through
+        if (!apiBreaker.allowRequest()) return this.serviceDownResult();
+
+        let answered = false;
         try {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), this.timeout);
@@ -70,40 +127,264 @@ class FraudShieldAPI {
             });
 
             clearTimeout(timeoutId);
+            answered = true;
+            this.recordAvailability(response.status);
 
             const headers = response.headers;
             const body = await response.json();
 
-            // Handle errors
+            // Handle errors — a rejected number is a negative result, cached like a success;
+            // any other validation error is not about the number and is not cached
+            if ((response.status === 400 || response.status === 422) && this.rejectsPhone(body)) {
+                const result = this.invalidPhoneResult(body);
+                await this.trackUsage(this.readRateInfo(headers));
+                await this.cache.store(phone, result);
+                return result;
+            }
             if (response.status !== 200) {
                 return this.handleErrorResponse(response.status, body);
             }
 
             // Parse successful response
             const result = this.parseResponse(body, headers);
-
-            // Cache for 5 minutes
-            cache.set(cacheKey, result);
+            await this.trackUsage(result.rateInfo);
+            await this.cache.store(phone, result);
 
             return result;
         } catch (err) {
+            if (!answered) apiBreaker.recordFailure(err.name === 'AbortError' ? 'timeout' : err.message);
+            if (err.name === 'AbortError') {
+                return {
+                    success: false,
+                    error: 'timeout',
+                    message: 'FraudShieldBD সার্ভার থেকে রেসপন্স পেতে দেরি হচ্ছে।',
+                    retryable: true,
+                };
+            }
+            return {
+                success: false,
+                error: 'connection_error',
+                message: `FraudShieldBD সার্ভারে কানেক্ট হতে পারছে না: ${err.message}`,
+                retryable: true,
+            };
+        }
+    }
+
+    /**
+     * Refresh a stale cached result in the background (once per phone).
+     * On failure the stale result stays cached.
+     */
+    revalidate(phone) {
+        if (refreshing.has(phone)) return;
+
+        const refresh = this.fetchResult(phone)
+            .then(result => {
+                if (!result.success && result.error !== 'invalid_phone') {
+                    console.warn(`[FSBD] Background refresh failed for ${phone}: ${result.message}`);
+                }
+            })
+            .catch(err => console.error(`[FSBD] Background refresh failed for ${phone}:`, err.message))
+            .finally(() => refreshing.delete(phone));
+
+        refreshing.set(phone, refresh);
+    }
+
+    /**
+     * Result from a cache lookup, re-scored: the cache is shared between
+     * shops with different thresholds and weights
+     * @param {{result: object, stale: boolean, storedAt: string}} cached
+     */
+    fromCache({ result, stale, storedAt }) {
+        if (!result.success) return { ...result, fromCache: true, cachedAt: storedAt };
+
+        return {
+            ...result,
+            ...this.assessRisk(result.summary, result.reports, result.checkedAt),
+            ...this.assessCouriers(result.couriers),
+            fromCache: true,
+            stale,
+            cachedAt: storedAt,
+        };
+    }
+
+    /**
+     * Tell the circuit breaker whether the service answered (5xx counts as an outage)
+     */
+    recordAvailability(status) {
+        if (status >= 500) {
+            apiBreaker.recordFailure(`HTTP ${status}`);
+        } else {
+            apiBreaker.recordSuccess();
+        }
+    }
+
+    /**
+     * Result while the circuit breaker is open
+     */
+    serviceDownResult() {
+        return {
+            success: false,
+            error: 'service_down',
+            message: 'FraudShieldBD সার্ভিস এখন সাড়া দিচ্ছে না — সার্ভিস ফিরলে আবার চেক হবে।',
+            retryable: true,
+            circuitOpen: true,
+        };
+    }
+
+    /**
+     * Count a check against the API key's daily quota (see lib/quota.js)
+     */
+    async trackUsage(rateInfo) {
+        try {
+            await recordUsage(this.apiKey, rateInfo);
+        } catch (err) {
+            console.error('[FSBD] Failed to record API usage:', err.message);
+        }
+    }
+
+    /**
+     * Quota headers of an API response
+     */
+    readRateInfo(headers) {
+        return {
+            dailyLimit: headers.get('x-daily-limit'),
+            dailyRemaining: headers.get('x-daily-remaining'),
+            dataSource: headers.get('x-data-source') || 'api',
+            plan: headers.get('x-subscription-plan'),
+        };
+    }
+
+    /**
+     * Result for input without a valid number
+     * @param {{reason: string, message: string}} error - From extractPhones()
+     */
+    invalidInputResult(error) {
+        return {
+            success: false,
+            error: 'invalid_phone',
+            reason: error.reason,
+            message: `${error.message} — ভ্যালিড বাংলাদেশি ফোন নম্বর দিন (01XXXXXXXXX)`,
+        };
+    }
+
+    /**
+     * Whether a 400 / 422 body says the phone number is invalid — an error
+     * code for the number, or a validation error on the `phone` field
+     * @param {object} body
+     * @returns {boolean}
+     */
+    rejectsPhone(body) {
+        if (!body || typeof body !== 'object') return false;
+        const code = String(body.error || body.code || '').toLowerCase();
+        if (PHONE_ERROR_CODES.includes(code)) return true;
+        return Boolean(body.errors && typeof body.errors === 'object' && body.errors.phone);
+    }
+
+    /**
+     * Negative result for a number the API rejected
+     */
+    invalidPhoneResult(body) {
+        return {
+            success: false,
+            error: 'invalid_phone',
+            message: `FraudShieldBD নম্বরটি গ্রহণ করেনি: ${body.message || body.error || 'ইনভ্যালিড নম্বর'}`,
+        };
+    }
+
+    /**
+     * Report a customer to FraudShieldBD (e.g. refused delivery)
+     * @param {string} phone - Bangladeshi phone number
+     * @param {string} reason - One of REPORT_REASONS
+     * @param {string} orderRef - Shop order reference (e.g. "#1001")
+     * @param {string} [evidence] - Free-text details
+     * @returns {Promise<object>} { success, reportId } or error object
+     */
+    async reportCustomer(phone, reason, orderRef, evidence = '') {
+        const parsed = extractPhones(phone);
+        if (parsed.phones.length === 0) return this.invalidInputResult(parsed.error);
+        phone = parsed.phones[0].phone;
+
+        if (!REPORT_REASONS.includes(reason)) {
+            return {
+                success: false,
+                error: 'invalid_reason',
+                message: `রিপোর্টের কারণ হতে হবে: ${REPORT_REASONS.join(', ')}`,
+            };
+        }
+
+        if (!this.apiKey) {
+            return {
+                success: false,
+                error: 'no_api_key',
+                message: 'FraudShieldBD API Key সেট করা হয়নি।',
+            };
+        }
+
+        if (!apiBreaker.allowRequest()) return this.serviceDownResult();
+
+        let answered = false;
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+            const response = await fetch(config.fraudshield.reportUrl, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'X-Source': 'shopify-app',
+                    'X-Plugin-Ver': '1.0.0',
+                },
+                body: JSON.stringify({
+                    phone,
+                    reason,
+                    order_ref: orderRef,
+                    evidence: evidence || '',
+                }),
+                signal: controller.signal,
+            });
+
+            clearTimeout(timeoutId);
+            answered = true;
+            this.recordAvailability(response.status);
+
+            const body = await response.json().catch(() => ({}));
+
+            if (response.status !== 200 && response.status !== 201) {
+                return this.handleErrorResponse(response.status, body);
+            }
+
+            // The phone's reports changed
+            await this.clearCache(phone);
+
+            return {
+                success: true,
+                reportId: body.id || body.report_id || null,
+                message: body.message || 'রিপোর্ট জমা হয়েছে।',
+            };
+        } catch (err) {
+            if (!answered) apiBreaker.recordFailure(err.name === 'AbortError' ? 'timeout' : err.message);
             if (err.name === 'AbortError') {
                 return {
                     success: false,
                     error: 'timeout',
                     message: 'FraudShieldBD সার্ভার থেকে রেসপন্স পেতে দেরি হচ্ছে।',
+                    retryable: true,
                 };
             }
             return {
                 success: false,
                 error: 'connection_error',
                 message: `FraudShieldBD সার্ভারে কানেক্ট হতে পারছে না: ${err.message}`,
+                retryable: true,
             };
         }
     }
 
     /**
-     * Test API connection
+     * Test API connection. Sent even while the circuit breaker is open,
+     * so a successful test closes it.
      * @returns {Promise<object>}
      */
     async testConnection() {
@@ -123,6 +404,7 @@ class FraudShieldAPI {
                 },
                 body: JSON.stringify({ phone: '01700000000' }),
             });
+            this.recordAvailability(response.status);
 
             if (response.status === 200) {
                 return { success: true, message: '✅ কানেকশন সফল!' };
@@ -135,6 +417,7 @@ class FraudShieldAPI {
                 return { success: false, message: body.message || `Error: ${response.status}` };
             }
         } catch (err) {
+            apiBreaker.recordFailure(err.message);
             return { success: false, message: `কানেকশন ব্যর্থ: ${err.message}` };
         }
     }
@@ -152,34 +435,6 @@ class FraudShieldAPI {
         const cancel = parseInt(summary.cancelled_parcel || 0, 10);
         const ratio = parseFloat(summary.success_ratio || 0);
 
-        // Risk level
-        const thresholdHigh = config.risk.thresholdHigh;
-        const thresholdMedium = config.risk.thresholdMedium;
-
-        let riskLevel, riskLabel, riskIcon, riskColor;
-
-        if (total === 0) {
-            riskLevel = 'unknown';
-            riskLabel = 'অজানা';
-            riskIcon = '❓';
-            riskColor = '#6b7280';
-        } else if (ratio < thresholdHigh) {
-            riskLevel = 'high';
-            riskLabel = 'হাই রিস্ক';
-            riskIcon = '⛔';
-            riskColor = '#dc2626';
-        } else if (ratio < thresholdMedium) {
-            riskLevel = 'medium';
-            riskLabel = 'মিডিয়াম রিস্ক';
-            riskIcon = '⚠️';
-            riskColor = '#d97706';
-        } else {
-            riskLevel = 'safe';
-            riskLabel = 'সেফ';
-            riskIcon = '✅';
-            riskColor = '#16a34a';
-        }
-
         // Per-courier data
         const couriers = {};
         for (const [key, data] of Object.entries(courierData)) {
@@ -195,12 +450,7 @@ class FraudShieldAPI {
         }
 
         // Rate limit info from headers
-        const rateInfo = {
-            dailyLimit: headers.get('x-daily-limit'),
-            dailyRemaining: headers.get('x-daily-remaining'),
-            dataSource: headers.get('x-data-source') || 'api',
-            plan: headers.get('x-subscription-plan'),
-        };
+        const rateInfo = this.readRateInfo(headers);
 
         return {
             success: true,
@@ -210,11 +460,8 @@ class FraudShieldAPI {
                 cancelledParcel: cancel,
                 successRatio: ratio,
             },
-            riskLevel,
-            riskLabel,
-            riskIcon,
-            riskColor,
-            couriers,
+            ...this.assessRisk({ totalParcel: total, successParcel: success, cancelledParcel: cancel, successRatio: ratio }, reports),
+            ...this.assessCouriers(couriers),
             reports,
             reportCount: reports.length,
             rateInfo,
@@ -223,8 +470,46 @@ class FraudShieldAPI {
         };
     }
 
+    /**
+     * Risk score and level from the summary and fraud reports (shop weights & thresholds)
+     * @param {object} summary - { totalParcel, successParcel, cancelledParcel, successRatio }
+     * @param {object[]} reports
+     * @param {string|Date} [asOf] - Check time, for report recency
+     * @returns {{riskScore: number|null, scoreComponents: object|null, riskLevel: string, riskLabel: string, riskIcon: string, riskColor: string}}
+     */
+    assessRisk(summary, reports = [], asOf = new Date()) {
+        const scored = computeRiskScore(scoreInputs(summary, reports), this.scoreWeights, asOf);
+        const riskScore = scored ? scored.score : null;
+
+        return {
+            riskScore,
+            scoreComponents: scored ? scored.components : null,
+            ...this.classifyScore(riskScore),
+        };
+    }
+
+    /**
+     * Per-courier risk levels plus the preferred / worst courier signals
+     * (shop courier thresholds, see lib/courier-risk.js)
+     * @returns {{couriers: object, courierRisk: {preferred: object|null, worst: object|null}}}
+     */
+    assessCouriers(couriers) {
+        return evaluateCouriers(couriers, this);
+    }
+
+    /**
+     * Risk level for a score (shop thresholds)
+     * @param {number|null} score - Null when there is nothing to score
+     * @returns {{riskLevel: string, riskLabel: string, riskIcon: string, riskColor: string}}
+     */
+    classifyScore(score) {
+        const riskLevel = levelForScore(score, this);
+        return { riskLevel, ...RISK_DISPLAY[riskLevel] };
+    }
+
     /**
      * Handle non-200 API responses
+     * `retryable` is set for temporary failures (rate limit, 5xx) worth retrying later
      */
     handleErrorResponse(code, body) {
         const message = body.message || body.error || 'Unknown error';
@@ -239,48 +524,48 @@ class FraudShieldAPI {
             503: { error: 'service_unavailable', message: 'সার্ভিস সাময়িকভাবে বন্ধ। কিছুক্ষণ পর ট্রাই করুন।' },
         };
 
+        const retryable = code === 429 || code >= 500;
+
         if (errorMap[code]) {
-            return { success: false, ...errorMap[code] };
+            return { success: false, ...errorMap[code], retryable };
         }
 
-        return { success: false, error: 'api_error', message: `API Error (${code}): ${message}` };
+        return { success: false, error: 'api_error', message: `API Error (${code}): ${message}`, retryable };
     }
 
     /**
-     * Sanitize and validate Bangladeshi phone number
-     * @param {string} phone
-     * @returns {string|null}
+     * Sanitize and validate Bangladeshi phone number (see lib/phone.js)
+     * @param {string} phone - As typed; the first valid number of the field is used
+     * @returns {string|null} 01XXXXXXXXX
      */
     sanitizePhone(phone) {
         if (!phone) return null;
+        const { phones } = extractPhones(phone);
+        return phones.length > 0 ? phones[0].phone : null;
+    }
 
-        // Remove all non-digits
-        phone = phone.replace(/[^0-9]/g, '');
-
-        // Handle +880 prefix
-        if (phone.startsWith('880') && phone.length === 13) {
-            phone = '0' + phone.substring(3);
-        }
-
-        // Validate: 01[3-9] followed by 8 digits
-        if (/^01[3-9]\d{8}$/.test(phone)) {
-            return phone;
-        }
-
-        return null;
+    /**
+     * Cached result for a phone, if any (no API call)
+     * @returns {Promise<object|null>}
+     */
+    async getCachedResult(phone) {
+        const cleaned = this.sanitizePhone(phone);
+        return cleaned ? this.cache.peek(cleaned) : null;
     }
 
     /**
      * Clear cache for a specific phone or all
      */
-    clearCache(phone = null) {
+    async clearCache(phone = null) {
         if (phone) {
             const cleaned = this.sanitizePhone(phone);
-            if (cleaned) cache.del(`fsbd_${cleaned}`);
+            if (cleaned) await this.cache.delete(cleaned);
         } else {
-            cache.flushAll();
+            await this.cache.clear();
         }
     }
 }
 
+FraudShieldAPI.REPORT_REASONS = REPORT_REASONS;
+
 module.exports = FraudShieldAPI;
@@ -0,0 +1,227 @@
+/**
+ * FraudShieldBD — Job Queue
+ *
+ * Durable background job queue backed by the storage layer.
+ * Jobs survive restarts, run with bounded concurrency, retry with
+ * exponential backoff and land in a dead-letter list when they
+ * keep failing.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+class JobQueue {
+    /**
+     * @param {object} options
+     * @param {string} [options.name] - Storage collection name (dead jobs go to "dead_<name>")
+     * @param {number} [options.concurrency] - Jobs run at the same time
+     * @param {number} [options.maxAttempts] - Attempts before dead-lettering
+     * @param {number} [options.backoffBase] - First retry delay (ms), doubled per attempt
+     * @param {number} [options.backoffMax] - Retry delay cap (ms)
+     * @param {number} [options.pollInterval] - How often to look for due jobs (ms)
+     * @param {import('./storage').MemoryStore} [options.storage]
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 2;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.backoffBase = options.backoffBase || 30000;
+        this.backoffMax = options.backoffMax || 30 * 60 * 1000;
+        this.pollInterval = options.pollInterval || 1000;
+        this.storage = options.storage || getStorage();
+        this.collection = options.name || 'jobs';
+        this.deadCollection = `dead_${this.collection}`;
+
+        this.handlers = {};
+        this.active = new Set();
+        this.timer = null;
+    }
+
+    /**
+     * Register the handler for a job type.
+     * A handler that throws is retried; `err.retryable === false` dead-letters immediately.
+     * @param {string} type
+     * @param {function(object, object): Promise<*>} handler - (data, job)
+     */
+    register(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {string} type
+     * @param {object} data
+     * @param {object} [options]
+     * @param {string} [options.shop]
+     * @param {number} [options.delay] - Run no earlier than this many ms from now
+     * @param {string} [options.key] - Job id; while a job with this id is queued, it is returned instead of adding another
+     * @returns {Promise<object>} The stored job
+     */
+    async enqueue(type, data, options = {}) {
+        if (options.key) {
+            const queued = await this.storage.get(this.collection, options.key);
+            if (queued) return queued;
+        }
+
+        const now = Date.now();
+        const job = {
+            id: options.key || crypto.randomUUID(),
+            type,
+            shop: options.shop || data.shop || null,
+            data,
+            status: 'pending',
+            attempts: 0,
+            runAt: now + (options.delay || 0),
+            lastError: null,
+            createdAt: new Date(now).toISOString(),
+        };
+
+        await this.storage.set(this.collection, job.id, job);
+        setImmediate(() => this.tick());
+        return job;
+    }
+
+    /**
+     * Start processing. Jobs left "running" by a crash are re-queued.
+     */
+    async start() {
+        if (this.timer) return;
+
+        for (const { value: job } of await this.storage.list(this.collection)) {
+            if (job.status === 'running') {
+                await this.storage.set(this.collection, job.id, { ...job, status: 'pending' });
+            }
+        }
+
+        this.timer = setInterval(() => this.tick(), this.pollInterval);
+        this.timer.unref();
+        this.tick();
+    }
+
+    /**
+     * Stop picking up new jobs (running jobs finish)
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Start due jobs while there are free slots
+     */
+    async tick() {
+        if (this.active.size >= this.concurrency) return;
+
+        const jobs = await this.storage.list(this.collection);
+        const free = this.concurrency - this.active.size;
+        if (free <= 0) return;
+
+        const now = Date.now();
+        const due = jobs
+            .map(e => e.value)
+            .filter(job => job.status === 'pending' && job.runAt <= now && !this.active.has(job.id))
+            .sort((a, b) => a.runAt - b.runAt)
+            .slice(0, free);
+
+        for (const job of due) {
+            this.active.add(job.id);
+            this.run(job)
+                .catch(err => console.error(`[FSBD] Job ${job.id} could not be run:`, err.message))
+                .finally(() => {
+                    this.active.delete(job.id);
+                    this.tick();
+                });
+        }
+    }
+
+    /**
+     * Run a single job and record the outcome
+     */
+    async run(job) {
+        const handler = this.handlers[job.type];
+        const attempt = { ...job, status: 'running', attempts: job.attempts + 1 };
+        await this.storage.set(this.collection, job.id, attempt);
+
+        try {
+            if (!handler) {
+                const err = new Error(`No handler registered for job type "${job.type}"`);
+                err.retryable = false;
+                throw err;
+            }
+
+            await handler(job.data, attempt);
+            await this.storage.delete(this.collection, job.id);
+        } catch (err) {
+            const failed = { ...attempt, lastError: err.message, failedAt: new Date().toISOString() };
+
+            if (err.retryable === false || failed.attempts >= this.maxAttempts) {
+                console.error(`[FSBD] Job ${job.type} ${job.id} failed permanently:`, err.message);
+                await this.storage.delete(this.collection, job.id);
+                await this.storage.set(this.deadCollection, job.id, { ...failed, status: 'dead' });
+                return;
+            }
+
+            const delay = Math.min(this.backoffBase * 2 ** (failed.attempts - 1), this.backoffMax);
+            console.warn(
+                `[FSBD] Job ${job.type} ${job.id} failed (attempt ${failed.attempts}), ` +
+                `retrying in ${Math.round(delay / 1000)}s:`, err.message
+            );
+            await this.storage.set(this.collection, job.id, { ...failed, status: 'pending', runAt: Date.now() + delay });
+        }
+    }
+
+    /**
+     * List queued (pending/running) jobs, optionally for one shop
+     */
+    async listJobs(shop = null) {
+        return this.listCollection(this.collection, shop);
+    }
+
+    /**
+     * List dead-lettered jobs, optionally for one shop
+     */
+    async listDeadJobs(shop = null) {
+        return this.listCollection(this.deadCollection, shop);
+    }
+
+    async listCollection(collection, shop) {
+        return (await this.storage.list(collection))
+            .map(e => e.value)
+            .filter(job => !shop || job.shop === shop)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Delete queued and dead jobs matching a predicate (running jobs finish)
+     * @param {function(object): boolean} predicate
+     * @returns {Promise<number>} Number of jobs removed
+     */
+    async removeJobs(predicate) {
+        let removed = 0;
+        for (const collection of [this.collection, this.deadCollection]) {
+            for (const { key, value: job } of await this.storage.list(collection)) {
+                if (job.status !== 'running' && predicate(job)) {
+                    await this.storage.delete(collection, key);
+                    removed++;
+                }
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Move a dead job back into the queue with a fresh attempt count
+     * @returns {Promise<object|null>} The re-queued job, or null if not found
+     */
+    async retryDeadJob(id, shop = null) {
+        const job = await this.storage.get(this.deadCollection, id);
+        if (!job || (shop && job.shop !== shop)) return null;
+
+        const requeued = { ...job, status: 'pending', attempts: 0, runAt: Date.now() };
+        await this.storage.delete(this.deadCollection, id);
+        await this.storage.set(this.collection, id, requeued);
+        setImmediate(() => this.tick());
+        return requeued;
+    }
+}
+
+module.exports = JobQueue;
@@ -2,11 +2,24 @@
  * FraudShieldBD — Order Checker
  *
  * Processes Shopify orders: checks phone via FraudShieldBD API,
- * tags orders with risk level, saves metafields, adds notes.
+ * tags orders with risk level, saves metafields, adds notes,
+ * then runs the shop's automation rules. Also reports an order's
+ * customer back to FraudShieldBD.
  */
 
 const FraudShieldAPI = require('./fraudshield-api');
-const config = require('../config');
+const ShopStore = require('./shop-store');
+const { RuleEngine } = require('./rule-engine');
+const { recordOrderResult, getOrderReport, recordOrderReport } = require('./order-results');
+const { recordPhoneCheck } = require('./phone-history');
+const { checkPhoneWithLists, listTag } = require('./phone-lists');
+const { courierTag, courierTagsOf } = require('./courier-risk');
+const { resolveSettings } = require('./settings');
+const { getUsage, isQuotaLow, pauseReason, raiseQuotaAlert } = require('./quota');
+
+const shopStore = new ShopStore();
+
+const RISK_NAMES = { safe: 'সেফ', medium: 'মিডিয়াম রিস্ক', high: 'হাই রিস্ক', unknown: 'অজানা' };
 
 class OrderChecker {
     /**
@@ -14,22 +27,37 @@ class OrderChecker {
      */
     constructor(shopifyClient) {
         this.shopify = shopifyClient;
+        this.settings = null;
         this.api = new FraudShieldAPI();
     }
 
+    /**
+     * Load settings for the client's shop and configure the API client
+     * @returns {Promise<object>}
+     */
+    async loadSettings() {
+        this.settings = await resolveSettings(this.shopify.shop);
+        this.api = new FraudShieldAPI(null, this.settings);
+        return this.settings;
+    }
+
     /**
      * Process a new order from webhook
      * @param {object} order - Shopify order object
+     * @param {object} [options]
+     * @param {boolean} [options.manual] - Merchant-started (backfill): ignore the auto-check toggle
      */
-    async processOrder(order) {
+    async processOrder(order, options = {}) {
+        const settings = await this.loadSettings();
+
         // Skip if auto-check is disabled
-        if (!config.behavior.autoCheckEnabled) {
+        if (!settings.autoCheck && !options.manual) {
             console.log(`[FSBD] Auto-check disabled, skipping order #${order.order_number}`);
             return null;
         }
 
         // Check COD-only setting
-        if (config.behavior.checkCodOnly) {
+        if (settings.codOnly) {
             if (!this.isCodOrder(order)) {
                 console.log(`[FSBD] Order #${order.order_number} is not COD, skipping`);
                 return null;
@@ -43,14 +71,30 @@ class OrderChecker {
             return null;
         }
 
+        // Low quota: leave what is left for the orders that matter
+        if (!options.manual && await this.pausedForQuota(order, settings)) {
+            return {
+                success: false,
+                error: 'quota_paused',
+                quotaPaused: true,
+                message: 'API কোটা কম — কোটা রিসেট হলে চেক হবে',
+            };
+        }
+
         console.log(`[FSBD] Checking phone ${phone} for order #${order.order_number}`);
 
-        // Call FraudShieldBD API
-        const result = await this.api.checkPhone(phone);
+        // Call FraudShieldBD API (blocklist / allowlist first)
+        const result = await this.checkPhone(phone);
+
+        if (!result.success && result.circuitOpen) {
+            console.log(`[FSBD] FraudShieldBD unavailable, order #${order.order_number} is pending`);
+            await this.savePending(order, result.message);
+            return result;
+        }
 
         if (!result.success) {
             console.error(`[FSBD] API error for order #${order.order_number}:`, result.message);
-            await this.saveError(order.id, result.message);
+            await this.saveError(order, result.message);
             return result;
         }
 
@@ -59,34 +103,68 @@ class OrderChecker {
 
         console.log(
             `[FSBD] Order #${order.order_number}: ${result.riskIcon} ${result.riskLabel} ` +
-            `(Ratio: ${result.summary.successRatio}%)`
+            `(Score: ${result.riskScore ?? '—'}, Ratio: ${result.summary.successRatio}%)`
         );
 
+        // Automatic actions (hold / cancel / tags)
+        await this.applyRules(order, result);
+
         return result;
     }
 
     /**
-     * Manual check for a specific order
-     * @param {number} orderId
+     * Whether an auto-check waits because the API quota is low. Raises the
+     * shop's low-quota alert and tags paused orders fsbd:quota-paused
+     * (order-queue keeps them and checks them once the quota resets).
+     * @returns {Promise<boolean>} True when the order is paused
      */
-    async manualCheck(orderId) {
-        const order = await this.shopify.getOrder(orderId);
-        if (!order) {
-            return { success: false, error: 'Order not found' };
+    async pausedForQuota(order, settings) {
+        const usage = await getUsage(this.api.apiKey);
+        if (!isQuotaLow(usage, settings)) return false;
+
+        const reason = pauseReason(order, this.isCodOrder(order), settings);
+        await raiseQuotaAlert(this.shopify.shop, usage, Boolean(reason));
+        if (!reason) return false;
+
+        console.log(
+            `[FSBD] Quota low (${usage.dailyRemaining} left), pausing ${reason} order #${order.order_number}`
+        );
+
+        if (settings.autoTag) {
+            try {
+                await this.shopify.addOrderTags(order.id, ['fsbd:quota-paused']);
+            } catch (err) {
+                console.error(`[FSBD] Failed to tag order #${order.order_number}:`, err.message);
+            }
         }
+        return true;
+    }
+
+    /**
+     * Manual re-check of an order, bypassing the cache. While FraudShieldBD
+     * is unavailable the order is marked pending (the caller keeps it in
+     * the pending list) and the earlier result stays.
+     * @param {object} order - Shopify order object
+     */
+    async manualCheck(order) {
+        await this.loadSettings();
 
         const phone = this.extractPhone(order);
         if (!phone) {
             return { success: false, error: 'No phone number found' };
         }
 
-        // Clear cache for fresh result
-        this.api.clearCache(phone);
+        // Fresh result; a failed call leaves the cached one in place
+        const result = await this.checkPhone(phone, { fresh: true });
 
-        const result = await this.api.checkPhone(phone);
+        if (!result.success && result.circuitOpen) {
+            console.log(`[FSBD] FraudShieldBD unavailable, order #${order.order_number} is pending`);
+            await this.savePending(order, result.message);
+            return result;
+        }
 
         if (!result.success) {
-            await this.saveError(order.id, result.message);
+            await this.saveError(order, result.message);
             return result;
         }
 
@@ -94,6 +172,102 @@ class OrderChecker {
         return result;
     }
 
+    /**
+     * Check a phone against the shop's lists, then FraudShieldBD
+     * @param {string} phone
+     * @param {object} [options] - FraudShieldAPI.checkPhone() options
+     */
+    async checkPhone(phone, options = {}) {
+        return checkPhoneWithLists(this.shopify.shop, this.api, phone, options);
+    }
+
+    /**
+     * Report the order's customer to FraudShieldBD (once per order).
+     * The submitted report is saved in the `customer_report` metafield.
+     * @param {object} order - Shopify order object
+     * @param {object} report
+     * @param {string} report.reason - See FraudShieldAPI.REPORT_REASONS
+     * @param {string} [report.evidence]
+     * @param {boolean} [report.auto] - Sent because of an order tag
+     * @returns {Promise<object>} FraudShieldAPI report result
+     */
+    async reportOrder(order, { reason, evidence = '', auto = false }) {
+        if (!this.settings) await this.loadSettings();
+
+        const shop = this.shopify.shop;
+        const local = await getOrderReport(shop, order.id);
+        const existing = local || (await this.shopify.getOrderMetafields(order.id)).customer_report;
+        if (existing) {
+            if (!local) await recordOrderReport(shop, order.id, existing);
+            return {
+                success: false,
+                error: 'already_reported',
+                message: 'এই অর্ডারের কাস্টমার আগেই রিপোর্ট করা হয়েছে।',
+                report: existing,
+            };
+        }
+
+        const phone = this.extractPhone(order);
+        if (!phone) {
+            return { success: false, error: 'no_phone', message: 'No phone number found' };
+        }
+
+        const orderRef = order.name || `#${order.order_number}`;
+        const result = await this.api.reportCustomer(phone, reason, orderRef, evidence);
+
+        if (!result.success) {
+            console.error(`[FSBD] Report failed for order #${order.order_number}:`, result.message);
+            return result;
+        }
+
+        const report = {
+            reason,
+            evidence,
+            reportId: result.reportId,
+            auto,
+            reportedAt: new Date().toISOString(),
+        };
+
+        await recordOrderReport(shop, order.id, report);
+        try {
+            await this.shopify.setOrderMetafields(order.id, { customer_report: report });
+        } catch (err) {
+            console.error(`[FSBD] Failed to save report metafield for order #${order.order_number}:`, err.message);
+        }
+
+        console.log(`[FSBD] 🚩 Customer of order #${order.order_number} reported (${reason}${auto ? ', auto' : ''})`);
+        return { ...result, report };
+    }
+
+    /**
+     * Report reason when the order carries an auto-report tag (e.g. "returned")
+     * @param {object} order - Shopify order object
+     * @param {string[]} autoReportTags - The shop's `autoReportTags` setting
+     * @returns {string|null}
+     */
+    static autoReportReason(order, autoReportTags) {
+        const tags = (order.tags || '').split(',').map(t => t.trim().toLowerCase());
+        const tag = tags.find(t => autoReportTags.includes(t));
+        if (!tag) return null;
+
+        return tag.includes('refus') ? 'refused_delivery' : 'returned';
+    }
+
+    /**
+     * Run the shop's automation rules for a checked order
+     * @returns {Promise<object[]>} Executed (or dry-run) actions
+     */
+    async applyRules(order, result) {
+        try {
+            const ruleSet = await shopStore.getRules(this.shopify.shop);
+            const engine = new RuleEngine(this.shopify);
+            return await engine.run(ruleSet, order, result, this.isCodOrder(order));
+        } catch (err) {
+            console.error(`[FSBD] Failed to apply rules for order #${order.order_number}:`, err.message);
+            return [];
+        }
+    }
+
     /**
      * Check if order is Cash on Delivery
      */
@@ -106,16 +280,19 @@ class OrderChecker {
     }
 
     /**
-     * Extract phone from order (billing → shipping → customer)
+     * Extract phone from order (billing → shipping → customer). The first
+     * field with a valid number wins; otherwise the first non-empty field
+     * is returned so the check reports why it is invalid.
      */
     extractPhone(order) {
-        return (
-            order.billing_address?.phone ||
-            order.shipping_address?.phone ||
-            order.customer?.phone ||
-            order.phone ||
-            null
-        );
+        const fields = [
+            order.billing_address?.phone,
+            order.shipping_address?.phone,
+            order.customer?.phone,
+            order.phone,
+        ].filter(Boolean);
+
+        return fields.find(p => this.api.sanitizePhone(p)) || fields[0] || null;
     }
 
     /**
@@ -123,9 +300,10 @@ class OrderChecker {
      */
     async saveResult(order, result) {
         const orderId = order.id;
+        const settings = this.settings || await this.loadSettings();
 
         // 1. Tag the order
-        if (config.behavior.autoTagOrders) {
+        if (settings.autoTag) {
             const riskTag = `fsbd:${result.riskLevel}`;
             const tags = [`FraudShieldBD`, riskTag];
 
@@ -133,41 +311,86 @@ class OrderChecker {
                 tags.push('fsbd:reported');
             }
 
+            if (result.listed) {
+                tags.push(listTag(result.listed));
+            }
+
+            // Customer's record on the courier the shop ships with
+            const shipTag = !result.fromList && courierTag(result.courierRisk);
+            if (shipTag) {
+                tags.push(shipTag);
+            }
+
+            // A re-check replaces the courier tag of the earlier check
+            const staleTags = courierTagsOf(order.tags).filter(t => t !== shipTag);
+
             try {
+                if (staleTags.length > 0) {
+                    await this.shopify.removeOrderTags(orderId, staleTags);
+                }
                 await this.shopify.addOrderTags(orderId, tags);
             } catch (err) {
                 console.error(`[FSBD] Failed to tag order #${order.order_number}:`, err.message);
             }
         }
 
-        // 2. Save metafields
+        // 2. Save metafields (one metafieldsSet call)
         try {
-            await Promise.all([
-                this.shopify.setOrderMetafield(orderId, 'checked', 'yes'),
-                this.shopify.setOrderMetafield(orderId, 'risk_level', result.riskLevel),
-                this.shopify.setOrderMetafield(orderId, 'risk_label', result.riskLabel),
-                this.shopify.setOrderMetafield(orderId, 'total_parcel', String(result.summary.totalParcel), 'number_integer'),
-                this.shopify.setOrderMetafield(orderId, 'success_parcel', String(result.summary.successParcel), 'number_integer'),
-                this.shopify.setOrderMetafield(orderId, 'cancel_parcel', String(result.summary.cancelledParcel), 'number_integer'),
-                this.shopify.setOrderMetafield(orderId, 'success_ratio', String(result.summary.successRatio), 'number_decimal'),
-                this.shopify.setOrderMetafield(orderId, 'report_count', String(result.reportCount), 'number_integer'),
-                this.shopify.setOrderMetafield(orderId, 'couriers', result.couriers),
-                this.shopify.setOrderMetafield(orderId, 'checked_at', result.checkedAt),
-            ]);
+            await this.shopify.setOrderMetafields(orderId, {
+                checked: 'yes',
+                risk_level: result.riskLevel,
+                risk_label: result.riskLabel,
+                ...(result.riskScore !== null && result.riskScore !== undefined
+                    ? { risk_score: { value: result.riskScore, type: 'number_integer' } }
+                    : {}),
+                total_parcel: { value: result.summary.totalParcel, type: 'number_integer' },
+                success_parcel: { value: result.summary.successParcel, type: 'number_integer' },
+                cancel_parcel: { value: result.summary.cancelledParcel, type: 'number_integer' },
+                success_ratio: { value: result.summary.successRatio, type: 'number_decimal' },
+                report_count: { value: result.reportCount, type: 'number_integer' },
+                couriers: result.couriers,
+                courier_risk: result.courierRisk || { preferred: null, worst: null },
+                reports: result.reports,
+                listed: result.listed || 'none',
+                // Clears the message of an earlier failed / pending check
+                error: 'none',
+                checked_at: result.checkedAt,
+            });
         } catch (err) {
             console.error(`[FSBD] Failed to save metafields for order #${order.order_number}:`, err.message);
         }
 
         // 3. Add order note
-        if (config.behavior.addOrderNotes) {
+        if (settings.addNotes) {
             const s = result.summary;
-            let note = `🛡️ FraudShieldBD: ${result.riskIcon} ${result.riskLabel} (রেশিও: ${s.successRatio}%)\n`;
+            const score = result.riskScore !== null && result.riskScore !== undefined ? `স্কোর: ${result.riskScore}/100, ` : '';
+            let note = `🛡️ FraudShieldBD: ${result.riskIcon} ${result.riskLabel} (${score}রেশিও: ${s.successRatio}%)\n`;
             note += `📦 Total: ${s.totalParcel} | ✅ Success: ${s.successParcel} | ❌ Cancel: ${s.cancelledParcel}`;
 
+            if (result.listed === 'blocklist') {
+                note += '\n🚫 আপনার ব্লকলিস্টে আছে';
+            } else if (result.listed === 'allowlist') {
+                note += '\n💚 আপনার অ্যালাউলিস্টে আছে (API চেক করা হয়নি)';
+            }
+
             if (result.reportCount > 0) {
                 note += `\n🚨 ফ্রড রিপোর্ট: ${result.reportCount} টি`;
             }
 
+            if (result.otherPhones?.length > 0) {
+                note += `\n📱 অন্য নম্বর (চেক করা হয়নি): ${result.otherPhones.join(', ')}`;
+            }
+
+            const { preferred, worst } = result.courierRisk || {};
+            if (preferred && !result.fromList) {
+                note += preferred.totalParcel > 0
+                    ? `\n🚚 ${preferred.name}: ${RISK_NAMES[preferred.riskLevel]} (${preferred.successRatio}%)`
+                    : `\n🚚 ${preferred.name}: কোনো হিস্ট্রি নেই`;
+            }
+            if (worst && (!preferred || worst.courier !== preferred.courier)) {
+                note += `\n📉 সবচেয়ে খারাপ কুরিয়ার: ${worst.name} (${worst.successRatio}%, ${RISK_NAMES[worst.riskLevel]})`;
+            }
+
             // Courier breakdown
             const courierKeys = Object.keys(result.couriers);
             if (courierKeys.length > 0) {
@@ -184,21 +407,85 @@ class OrderChecker {
                 console.error(`[FSBD] Failed to add note for order #${order.order_number}:`, err.message);
             }
         }
+
+        // 4. Local copy for the admin dashboard
+        await this.recordResult(order, result);
+
+        // 5. Customer history (trend across orders)
+        await this.recordHistory(order, result);
     }
 
     /**
      * Save error to order metafield
      */
-    async saveError(orderId, errorMessage) {
+    async saveError(order, errorMessage) {
+        const orderId = order.id;
+
         try {
-            await Promise.all([
-                this.shopify.setOrderMetafield(orderId, 'checked', 'error'),
-                this.shopify.setOrderMetafield(orderId, 'error', errorMessage),
-                this.shopify.setOrderMetafield(orderId, 'checked_at', new Date().toISOString()),
-            ]);
+            await this.shopify.setOrderMetafields(orderId, {
+                checked: 'error',
+                error: errorMessage,
+                checked_at: new Date().toISOString(),
+            });
         } catch (err) {
             console.error(`[FSBD] Failed to save error metafield:`, err.message);
         }
+
+        await this.recordResult(order, { success: false, message: errorMessage });
+    }
+
+    /**
+     * Mark an order as waiting for FraudShieldBD to come back
+     * (fsbd:pending tag, `checked = pending` metafield)
+     */
+    async savePending(order, message) {
+        const settings = this.settings || await this.loadSettings();
+
+        if (settings.autoTag) {
+            try {
+                await this.shopify.addOrderTags(order.id, ['fsbd:pending']);
+            } catch (err) {
+                console.error(`[FSBD] Failed to tag order #${order.order_number}:`, err.message);
+            }
+        }
+
+        try {
+            await this.shopify.setOrderMetafields(order.id, {
+                checked: 'pending',
+                error: message,
+                checked_at: new Date().toISOString(),
+            });
+        } catch (err) {
+            console.error(`[FSBD] Failed to save pending metafield:`, err.message);
+        }
+    }
+
+    /**
+     * Add the check to the customer's phone history (see lib/phone-history.js)
+     */
+    async recordHistory(order, result) {
+        // Allowlisted (no API data) — nothing to add to the trend
+        if (result.fromList) return;
+
+        const phone = this.api.sanitizePhone(this.extractPhone(order));
+        if (!phone) return;
+
+        try {
+            await recordPhoneCheck(this.shopify.shop, phone, order, result);
+        } catch (err) {
+            console.error(`[FSBD] Failed to record history for order #${order.order_number}:`, err.message);
+        }
+    }
+
+    /**
+     * Save the result locally (see lib/order-results.js)
+     */
+    async recordResult(order, result) {
+        try {
+            await recordOrderResult(this.shopify.shop, order, result, { isCod: this.isCodOrder(order) });
+        } catch (err) {
+            console.error(`[FSBD] Failed to record result for order #${order.order_number}:`, err.message);
+        }
     }
 }
 
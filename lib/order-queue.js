@@ -0,0 +1,459 @@
+/**
+ * FraudShieldBD — Order Queue
+ *
+ * Shared job queue for webhook order processing. Webhooks enqueue
+ * orders; the "process-order" handler runs them through OrderChecker
+ * and retries temporary FraudShieldBD API failures.
+ *
+ * Each order is checked once: jobs for the same order run one at a
+ * time (in-flight lock) and checked orders are remembered locally.
+ *
+ * While the FraudShieldBD circuit breaker is open, orders are tagged
+ * fsbd:pending and kept in the pending list instead of burning their
+ * retries. When the breaker closes they are queued again; after each
+ * cooldown one pending order is queued as the probe request.
+ *
+ * Auto-checks paused for low API quota (fsbd:quota-paused) are kept in
+ * the paused list and queued again once the shop's quota is no longer
+ * low — at the latest on the next Bangladesh day, when it resets.
+ */
+
+const config = require('../config');
+const JobQueue = require('./job-queue');
+const ShopStore = require('./shop-store');
+const ShopifyClient = require('./shopify-client');
+const OrderChecker = require('./order-checker');
+const FraudShieldAPI = require('./fraudshield-api');
+const { getStorage } = require('./storage');
+const { apiBreaker } = require('./circuit-breaker');
+const { resolveSettings } = require('./settings');
+const { bdDate, getUsage, isQuotaLow } = require('./quota');
+const { getOrderReport } = require('./order-results');
+
+const PENDING_COLLECTION = 'pending_orders';
+const PAUSED_COLLECTION = 'quota_paused_orders';
+
+// How often paused orders are looked at (quota reset)
+const PAUSED_CHECK_INTERVAL = 15 * 60 * 1000;
+
+const shopStore = new ShopStore();
+
+// Tail of the promise chain per "shop:orderId" currently being processed
+const orderLocks = new Map();
+
+const orderQueue = new JobQueue({
+    concurrency: config.queue.concurrency,
+    maxAttempts: config.queue.maxAttempts,
+    backoffBase: config.queue.backoffBase,
+});
+
+/**
+ * Run fn while holding the lock for an order (one holder at a time)
+ */
+async function withOrderLock(shop, orderId, fn) {
+    const key = `${shop}:${orderId}`;
+    const previous = orderLocks.get(key) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    orderLocks.set(key, tail);
+
+    await previous;
+    try {
+        return await fn();
+    } finally {
+        release();
+        if (orderLocks.get(key) === tail) orderLocks.delete(key);
+    }
+}
+
+/**
+ * Check if an order was already checked successfully
+ */
+async function isOrderProcessed(shop, orderId) {
+    return Boolean(await getStorage().get('processed_orders', `${shop}:${orderId}`));
+}
+
+/**
+ * Remember that an order was checked successfully
+ */
+async function markOrderProcessed(shop, orderId, result) {
+    await getStorage().set('processed_orders', `${shop}:${orderId}`, {
+        shop,
+        orderId,
+        riskLevel: result.riskLevel,
+        checkedAt: result.checkedAt,
+    });
+}
+
+/**
+ * Check an order in the background
+ * data: { shop, order, skipIfChecked }
+ */
+orderQueue.register('process-order', ({ shop, order, skipIfChecked, manual }) =>
+    processOrderOnce(shop, order, { skipIfChecked, manual })
+);
+
+/**
+ * Report an order's customer to FraudShieldBD (auto-report tags)
+ * data: { shop, orderId, reason } — the order is read when the job runs
+ * (jobs queued by earlier versions carry the whole `order`)
+ */
+orderQueue.register('report-order', ({ shop, orderId, order, reason }) => {
+    const id = orderId ?? order.id;
+    return withOrderLock(shop, id, async () => {
+        if (await getOrderReport(shop, id)) return;
+
+        const accessToken = await shopStore.getAccessToken(shop);
+        if (!accessToken) {
+            const err = new Error(`No access token for shop: ${shop}`);
+            err.retryable = false;
+            throw err;
+        }
+
+        const shopify = new ShopifyClient(shop, accessToken);
+        const current = order || await shopify.getOrder(id);
+        if (!current) return;
+
+        const checker = new OrderChecker(shopify);
+        const result = await checker.reportOrder(current, { reason, auto: true });
+
+        if (!result.success && result.retryable) {
+            throw new Error(result.message);
+        }
+    });
+});
+
+/**
+ * Check an order unless it was already checked, holding the order lock.
+ * Throws on temporary FraudShieldBD API failures so the caller can retry.
+ * @param {string} shop
+ * @param {object} order - Shopify order object
+ * @param {object} [options]
+ * @param {boolean} [options.skipIfChecked] - Also consult the `checked` metafield
+ * @param {boolean} [options.manual] - Ignore the shop's auto-check toggle
+ * @returns {Promise<'skipped'|'checked'|'ignored'|'pending'|'paused'|'error'>}
+ */
+function processOrderOnce(shop, order, options = {}) {
+    return withOrderLock(shop, order.id, () => processLockedOrder(shop, order, options));
+}
+
+/**
+ * Check an order (caller holds the order lock)
+ */
+async function processLockedOrder(shop, order, { skipIfChecked = false, manual = false }) {
+    // Another delivery of the same order may have finished while we waited
+    if (await isOrderProcessed(shop, order.id)) return 'skipped';
+
+    const accessToken = await shopStore.getAccessToken(shop);
+    if (!accessToken) {
+        const err = new Error(`No access token for shop: ${shop}`);
+        err.retryable = false;
+        throw err;
+    }
+
+    const shopify = new ShopifyClient(shop, accessToken);
+
+    // orders/updated: only process if not already checked
+    // (metafield covers orders checked before local tracking existed)
+    if (skipIfChecked) {
+        const meta = await shopify.getOrderMetafields(order.id);
+        if (meta.checked === 'yes') {
+            await markOrderProcessed(shop, order.id, { riskLevel: meta.risk_level, checkedAt: meta.checked_at });
+            return 'skipped';
+        }
+    }
+
+    const checker = new OrderChecker(shopify);
+    const result = await checker.processOrder(order, { manual });
+
+    if (result && result.circuitOpen) {
+        await markOrderPending(shop, order, { manual });
+        return 'pending';
+    }
+    await clearPendingOrder(shop, order.id, shopify);
+
+    if (result && result.quotaPaused) {
+        await markOrderPaused(shop, order);
+        return 'paused';
+    }
+    await clearPausedOrder(shop, order.id, shopify);
+
+    if (!result) return 'ignored';
+
+    if (result.success) {
+        await markOrderProcessed(shop, order.id, result);
+        return 'checked';
+    }
+    if (result.retryable) {
+        throw new Error(result.message);
+    }
+    return 'error';
+}
+
+/**
+ * Re-check an order now (admin panel / order page). While FraudShieldBD
+ * is unavailable the order goes on the pending list like a webhook order.
+ * @param {string} shop
+ * @param {ShopifyClient} shopify
+ * @param {string|number} orderId
+ * @returns {Promise<object>} OrderChecker result
+ */
+async function recheckOrder(shop, shopify, orderId) {
+    const order = await shopify.getOrder(orderId);
+    if (!order) {
+        return { success: false, error: 'Order not found' };
+    }
+
+    return withOrderLock(shop, order.id, async () => {
+        const checker = new OrderChecker(shopify);
+        const result = await checker.manualCheck(order);
+
+        if (result.circuitOpen) {
+            // Checked before: without this the pending re-check would be skipped
+            await getStorage().delete('processed_orders', `${shop}:${order.id}`);
+            await markOrderPending(shop, order, { manual: true });
+            return result;
+        }
+        await clearPendingOrder(shop, order.id, shopify);
+        await clearPausedOrder(shop, order.id, shopify);
+
+        // Keep later orders/updated webhooks from checking it again
+        if (result.success) {
+            await markOrderProcessed(shop, order.id, result);
+        }
+        return result;
+    });
+}
+
+/**
+ * Queue an order for checking
+ * @param {string} shop
+ * @param {object} order - Shopify order object
+ * @param {object} [options]
+ * @param {boolean} [options.skipIfChecked] - Skip orders already checked
+ * @param {boolean} [options.manual] - Merchant-started (backfill): ignore the auto-check toggle
+ */
+function enqueueOrder(shop, order, options = {}) {
+    return orderQueue.enqueue('process-order', {
+        shop,
+        order,
+        skipIfChecked: Boolean(options.skipIfChecked),
+        manual: Boolean(options.manual),
+    });
+}
+
+// ── Pending orders (FraudShieldBD outage) ─────
+
+/**
+ * Keep an order to check once FraudShieldBD is back
+ */
+async function markOrderPending(shop, order, { manual = false } = {}) {
+    const key = `${shop}:${order.id}`;
+    const existing = await getStorage().get(PENDING_COLLECTION, key);
+    await getStorage().set(PENDING_COLLECTION, key, {
+        shop,
+        orderId: order.id,
+        orderName: order.name || `#${order.order_number}`,
+        order,
+        manual,
+        since: existing ? existing.since : new Date().toISOString(),
+        requeuedAt: null,
+    });
+}
+
+/**
+ * Drop an order from the pending list (it was checked, or failed for
+ * another reason) and remove its fsbd:pending tag
+ */
+async function clearPendingOrder(shop, orderId, shopify) {
+    const key = `${shop}:${orderId}`;
+    if (!(await getStorage().get(PENDING_COLLECTION, key))) return;
+
+    await getStorage().delete(PENDING_COLLECTION, key);
+    try {
+        await shopify.removeOrderTags(orderId, ['fsbd:pending']);
+    } catch (err) {
+        console.error(`[FSBD] Failed to remove fsbd:pending from order ${orderId}:`, err.message);
+    }
+}
+
+/**
+ * Pending orders, oldest first
+ * @param {string|null} [shop] - Only this shop's orders
+ * @returns {Promise<object[]>}
+ */
+async function listPendingOrders(shop = null) {
+    return (await getStorage().list(PENDING_COLLECTION))
+        .map(e => e.value)
+        .filter(p => !shop || p.shop === shop)
+        .sort((a, b) => a.since.localeCompare(b.since));
+}
+
+/**
+ * Queue pending orders for checking again. They stay in the pending
+ * list (marked requeued) until their check finishes.
+ * @param {number} [limit] - Queue at most this many
+ * @returns {Promise<number>} Orders queued
+ */
+async function requeuePendingOrders(limit = Infinity) {
+    const waiting = (await listPendingOrders()).filter(p => !p.requeuedAt).slice(0, limit);
+
+    for (const pending of waiting) {
+        await getStorage().set(PENDING_COLLECTION, `${pending.shop}:${pending.orderId}`, {
+            ...pending,
+            requeuedAt: new Date().toISOString(),
+        });
+        await enqueueOrder(pending.shop, pending.order, { skipIfChecked: true, manual: pending.manual });
+    }
+    return waiting.length;
+}
+
+// ── Paused orders (low API quota) ─────────────
+
+/**
+ * Keep an order whose auto-check was paused for low quota
+ */
+async function markOrderPaused(shop, order) {
+    const key = `${shop}:${order.id}`;
+    const existing = await getStorage().get(PAUSED_COLLECTION, key);
+    await getStorage().set(PAUSED_COLLECTION, key, {
+        shop,
+        orderId: order.id,
+        orderName: order.name || `#${order.order_number}`,
+        order,
+        date: existing ? existing.date : bdDate(),
+        since: existing ? existing.since : new Date().toISOString(),
+    });
+}
+
+/**
+ * Drop an order from the paused list and remove its fsbd:quota-paused tag
+ */
+async function clearPausedOrder(shop, orderId, shopify) {
+    const key = `${shop}:${orderId}`;
+    if (!(await getStorage().get(PAUSED_COLLECTION, key))) return;
+
+    await getStorage().delete(PAUSED_COLLECTION, key);
+    if (!shopify) return;
+    try {
+        await shopify.removeOrderTags(orderId, ['fsbd:quota-paused']);
+    } catch (err) {
+        console.error(`[FSBD] Failed to remove fsbd:quota-paused from order ${orderId}:`, err.message);
+    }
+}
+
+/**
+ * Orders paused for low quota, oldest first
+ * @param {string|null} [shop] - Only this shop's orders
+ * @returns {Promise<object[]>}
+ */
+async function listPausedOrders(shop = null) {
+    return (await getStorage().list(PAUSED_COLLECTION))
+        .map(e => e.value)
+        .filter(p => !shop || p.shop === shop)
+        .sort((a, b) => a.since.localeCompare(b.since));
+}
+
+/**
+ * Queue paused orders of shops whose quota is no longer low (or that
+ * were paused on an earlier day — the quota has reset since). Each
+ * leaves the paused list and loses its fsbd:quota-paused tag.
+ * @returns {Promise<number>} Orders queued
+ */
+async function requeuePausedOrders() {
+    const today = bdDate();
+    const byShop = new Map();
+    for (const paused of await listPausedOrders()) {
+        if (!byShop.has(paused.shop)) byShop.set(paused.shop, []);
+        byShop.get(paused.shop).push(paused);
+    }
+
+    let queued = 0;
+    for (const [shop, orders] of byShop) {
+        const settings = await resolveSettings(shop);
+        const quotaBack = !isQuotaLow(await getUsage(new FraudShieldAPI(null, settings).apiKey), settings);
+        const due = orders.filter(p => quotaBack || p.date < today);
+        if (due.length === 0) continue;
+
+        const accessToken = await shopStore.getAccessToken(shop);
+        const shopify = accessToken ? new ShopifyClient(shop, accessToken) : null;
+        for (const paused of due) {
+            await clearPausedOrder(shop, paused.orderId, shopify);
+            await enqueueOrder(shop, paused.order, { skipIfChecked: true });
+            queued++;
+        }
+    }
+    return queued;
+}
+
+function logRequeue(promise, label, kind = 'pending') {
+    promise
+        .then(count => {
+            if (count > 0) console.log(`[FSBD] Re-queued ${count} ${kind} order(s) (${label})`);
+        })
+        .catch(err => console.error(`[FSBD] Failed to re-queue ${kind} orders:`, err.message));
+}
+
+// FraudShieldBD is back — check everything that waited
+apiBreaker.on('close', () => logRequeue(requeuePendingOrders(), 'FraudShieldBD recovered'));
+
+let probeTimer = null;
+let pausedTimer = null;
+
+/**
+ * Queue pending orders left from before a restart, then — while the
+ * breaker is open — one pending order per cooldown as the probe request.
+ * Quota-paused orders are looked at on startup and every 15 minutes.
+ */
+function startPendingRecovery() {
+    if (probeTimer) return;
+
+    logRequeue(requeuePendingOrders(), 'startup');
+    logRequeue(requeuePausedOrders(), 'startup', 'quota-paused');
+
+    probeTimer = setInterval(() => {
+        if (apiBreaker.probeDue()) logRequeue(requeuePendingOrders(1), 'probe');
+    }, Math.min(apiBreaker.cooldown, 60000));
+    probeTimer.unref();
+
+    pausedTimer = setInterval(() => {
+        logRequeue(requeuePausedOrders(), 'quota reset', 'quota-paused');
+    }, PAUSED_CHECK_INTERVAL);
+    pausedTimer.unref();
+}
+
+/**
+ * Queue an automatic customer report for an order, unless it was
+ * reported already or a report job for it is queued. Only the order's
+ * id and number are kept on the job; the handler fetches the order.
+ * @param {string} shop
+ * @param {object} order - Shopify order object
+ * @param {string} reason
+ * @returns {Promise<object|null>} The job, or null when already reported
+ */
+async function enqueueReport(shop, order, reason) {
+    if (await getOrderReport(shop, order.id)) return null;
+    return orderQueue.enqueue(
+        'report-order',
+        { shop, orderId: order.id, orderNumber: order.order_number, reason },
+        { key: `report:${shop}:${order.id}` }
+    );
+}
+
+module.exports = {
+    orderQueue,
+    enqueueOrder,
+    enqueueReport,
+    withOrderLock,
+    processOrderOnce,
+    recheckOrder,
+    isOrderProcessed,
+    markOrderProcessed,
+    listPendingOrders,
+    requeuePendingOrders,
+    listPausedOrders,
+    requeuePausedOrders,
+    startPendingRecovery,
+};
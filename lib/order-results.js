@@ -0,0 +1,327 @@
+/**
+ * FraudShieldBD — Order Results
+ *
+ * Local copy of the latest check result per order, so the admin
+ * dashboard can list and filter orders without reading metafields
+ * from Shopify for every row.
+ *
+ * The order's final delivery outcome (delivered / returned / cancelled)
+ * is kept on the same record, so the outcome report can show how well
+ * each risk level predicted reality.
+ */
+
+const { getStorage } = require('./storage');
+const { scoreInputs } = require('./risk-score');
+
+const COLLECTION = 'order_results';
+const REPORT_COLLECTION = 'reported_orders';
+
+const RISK_LEVELS = ['safe', 'medium', 'high', 'unknown', 'error'];
+
+const OUTCOMES = ['delivered', 'returned', 'cancelled'];
+
+// Tail of the promise chain per order record being updated
+const recordLocks = new Map();
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Upper bound of a date filter in ms. A date without a time ("2026-01-31")
+ * covers that whole day, like `from` covers it from midnight.
+ * @param {string} [value] - ISO date or date-time
+ * @returns {number|null}
+ */
+function rangeEnd(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return DATE_ONLY.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Run fn while holding the update lock for an order record (read-modify-write)
+ */
+async function withRecordLock(key, fn) {
+    const previous = recordLocks.get(key) || Promise.resolve();
+    const current = previous.then(fn);
+    const tail = current.catch(() => {});
+    recordLocks.set(key, tail);
+
+    try {
+        return await current;
+    } finally {
+        if (recordLocks.get(key) === tail) recordLocks.delete(key);
+    }
+}
+
+/**
+ * Courier breakdown reduced to what rule conditions read
+ * @returns {Object<string, {totalParcel: number, successRatio: number}>}
+ */
+function courierRatios(couriers) {
+    const ratios = {};
+    for (const [name, c] of Object.entries(couriers || {})) {
+        ratios[name] = { totalParcel: c.totalParcel, successRatio: c.successRatio };
+    }
+    return ratios;
+}
+
+/**
+ * Save the latest check outcome for an order
+ * @param {string} shop
+ * @param {object} order - Shopify order object
+ * @param {object} result - FraudShieldAPI result (success or error)
+ * @param {object} [options]
+ * @param {boolean|null} [options.isCod] - Kept for the threshold simulator's rule conditions
+ */
+async function recordOrderResult(shop, order, result, { isCod = null } = {}) {
+    const record = {
+        shop,
+        orderId: order.id,
+        orderNumber: order.order_number,
+        orderName: order.name || `#${order.order_number}`,
+        totalPrice: order.total_price || null,
+        currency: order.currency || null,
+        orderCreatedAt: order.created_at || null,
+        listed: result.listed || null,
+        isCod,
+        checkedAt: result.checkedAt || new Date().toISOString(),
+    };
+
+    if (result.success) {
+        Object.assign(record, {
+            riskLevel: result.riskLevel,
+            riskLabel: result.riskLabel,
+            riskScore: result.riskScore ?? null,
+            successRatio: result.summary.successRatio,
+            totalParcel: result.summary.totalParcel,
+            successParcel: result.summary.successParcel,
+            cancelledParcel: result.summary.cancelledParcel,
+            reportDates: scoreInputs(result.summary, result.reports).reportDates,
+            reportCount: result.reportCount,
+            couriers: courierRatios(result.couriers),
+            courierRisk: result.courierRisk || null,
+            error: null,
+        });
+    } else {
+        Object.assign(record, {
+            riskLevel: 'error',
+            riskLabel: null,
+            riskScore: null,
+            successRatio: null,
+            totalParcel: null,
+            successParcel: null,
+            cancelledParcel: null,
+            reportDates: [],
+            reportCount: null,
+            couriers: {},
+            courierRisk: null,
+            error: result.message,
+        });
+    }
+
+    const key = `${shop}:${order.id}`;
+    await withRecordLock(key, async () => {
+        // A re-check keeps the outcome already recorded
+        const existing = await getStorage().get(COLLECTION, key);
+        if (existing && existing.outcome) {
+            record.outcome = existing.outcome;
+            record.outcomeAt = existing.outcomeAt;
+        }
+        if (existing && existing.cancelledByApp) record.cancelledByApp = true;
+
+        await getStorage().set(COLLECTION, key, record);
+    });
+}
+
+/**
+ * Record an order's delivery outcome next to its check result.
+ * "delivered" never replaces "returned" or "cancelled" (a delivered
+ * parcel can still come back).
+ * @param {string} shop
+ * @param {string|number} orderId
+ * @param {string} outcome - delivered | returned | cancelled
+ * @returns {Promise<string|null>} The order's outcome now, or null if it was never checked
+ */
+async function recordOrderOutcome(shop, orderId, outcome) {
+    const storage = getStorage();
+    const key = `${shop}:${orderId}`;
+
+    return withRecordLock(key, async () => {
+        const record = await storage.get(COLLECTION, key);
+        if (!record) return null;
+
+        if (outcome === 'delivered' && record.outcome && record.outcome !== 'delivered') {
+            return record.outcome;
+        }
+
+        await storage.set(COLLECTION, key, {
+            ...record,
+            outcome,
+            outcomeAt: new Date().toISOString(),
+        });
+        return outcome;
+    });
+}
+
+/**
+ * Flag an order an automation rule cancelled. Set when the rule's cancel
+ * succeeds (before or after the cancel webhook) and never cleared, so the
+ * outcome report can leave the app's own decision out.
+ * @param {string} shop
+ * @param {string|number} orderId
+ */
+async function markCancelledByApp(shop, orderId) {
+    const storage = getStorage();
+    const key = `${shop}:${orderId}`;
+
+    await withRecordLock(key, async () => {
+        const record = await storage.get(COLLECTION, key);
+        if (!record) return;
+
+        await storage.set(COLLECTION, key, { ...record, cancelledByApp: true });
+    });
+}
+
+/**
+ * Outcome counts and rates for a group of records.
+ * returnRate = returned / (delivered + returned); cancelRate = cancelled / all with an outcome
+ */
+function summarizeOutcomes(records) {
+    const counts = { delivered: 0, returned: 0, cancelled: 0, pending: 0 };
+    for (const r of records) counts[r.outcome || 'pending']++;
+
+    const decided = counts.delivered + counts.returned;
+    const withOutcome = decided + counts.cancelled;
+    const rate = (n, total) => (total > 0 ? Math.round((n / total) * 1000) / 10 : null);
+
+    return {
+        checked: records.length,
+        ...counts,
+        returnRate: rate(counts.returned, decided),
+        cancelRate: rate(counts.cancelled, withOutcome),
+    };
+}
+
+/**
+ * Split records into ten 0–100 bands (0–9, 10–19, … 90–100) by a value
+ * @returns {Array<{range: string, min: number, records: object[]}>}
+ */
+function bands(records, valueOf) {
+    const result = [];
+    for (let min = 0; min < 100; min += 10) {
+        const max = min === 90 ? 100 : min + 9;
+        const inBand = records.filter(r => {
+            const value = valueOf(r);
+            return value >= min && (min === 90 ? value <= 100 : value < min + 10);
+        });
+        result.push({ range: `${min}–${max}`, min, records: inBand });
+    }
+    return result;
+}
+
+/**
+ * Return / cancel rates per risk level, per 10% success-ratio band and
+ * per 10-point risk score band, for tuning RISK_THRESHOLD_HIGH /
+ * RISK_THRESHOLD_MEDIUM and the score weights. Orders an automation
+ * rule cancelled are left out: the app's own decision is not an outcome.
+ * @param {string} shop
+ * @param {object} [filters]
+ * @param {string} [filters.from] - Order created on/after (ISO date)
+ * @param {string} [filters.to] - Order created on/before (ISO date; a date-only value includes that day)
+ * @returns {Promise<{byRiskLevel: object[], byRatio: object[], byScore: object[], overall: object}>}
+ */
+async function outcomeReport(shop, filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = rangeEnd(filters.to);
+    const createdTime = r => new Date(r.orderCreatedAt || r.checkedAt).getTime();
+
+    const records = (await getStorage().list(COLLECTION))
+        .map(e => e.value)
+        // Blocklist / allowlist results were forced, not predicted
+        .filter(r => r.shop === shop && r.riskLevel !== 'error' && !r.listed)
+        .filter(r => !r.cancelledByApp)
+        .filter(r => (!from || createdTime(r) >= from) && (!to || createdTime(r) <= to));
+
+    const byRiskLevel = RISK_LEVELS
+        .filter(level => level !== 'error')
+        .map(riskLevel => ({
+            riskLevel,
+            ...summarizeOutcomes(records.filter(r => r.riskLevel === riskLevel)),
+        }));
+
+    // Orders with courier history, grouped by success ratio (0–9, 10–19, … 90–100)
+    const withHistory = records.filter(r => r.totalParcel > 0);
+    const byRatio = bands(withHistory, r => r.successRatio)
+        .map(({ range, min, records: inBand }) => ({ range: `${range}%`, min, ...summarizeOutcomes(inBand) }));
+
+    // Scored orders, grouped by risk score
+    const scored = records.filter(r => r.riskScore !== null && r.riskScore !== undefined);
+    const byScore = bands(scored, r => r.riskScore)
+        .map(({ range, min, records: inBand }) => ({ range, min, ...summarizeOutcomes(inBand) }));
+
+    return { byRiskLevel, byRatio, byScore, overall: summarizeOutcomes(records) };
+}
+
+/**
+ * List a shop's checked orders, newest first
+ * @param {string} shop
+ * @param {object} [filters]
+ * @param {string} [filters.riskLevel] - safe | medium | high | unknown | error
+ * @param {string} [filters.from] - Order created on/after (ISO date)
+ * @param {string} [filters.to] - Order created on/before (ISO date; a date-only value includes that day)
+ * @param {number} [filters.page] - 1-based page number
+ * @param {number} [filters.limit] - Rows per page (max 100)
+ * @returns {Promise<{orders: object[], total: number, page: number, pages: number}>}
+ */
+async function listOrderResults(shop, filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 25, 1), 100);
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = rangeEnd(filters.to);
+
+    const createdTime = r => new Date(r.orderCreatedAt || r.checkedAt).getTime();
+
+    const matching = (await getStorage().list(COLLECTION))
+        .map(e => e.value)
+        .filter(r => r.shop === shop)
+        .filter(r => !filters.riskLevel || r.riskLevel === filters.riskLevel)
+        .filter(r => (!from || createdTime(r) >= from) && (!to || createdTime(r) <= to))
+        .sort((a, b) => createdTime(b) - createdTime(a));
+
+    return {
+        orders: matching.slice((page - 1) * limit, page * limit),
+        total: matching.length,
+        page,
+        pages: Math.max(Math.ceil(matching.length / limit), 1),
+    };
+}
+
+/**
+ * Customer report sent to FraudShieldBD for an order, if any. Checked
+ * before the customer_report metafield, which may have failed to save.
+ * @returns {Promise<object|null>}
+ */
+async function getOrderReport(shop, orderId) {
+    return getStorage().get(REPORT_COLLECTION, `${shop}:${orderId}`);
+}
+
+/**
+ * Remember that an order's customer was reported
+ * @param {object} report - { reason, evidence, reportId, auto, reportedAt }
+ */
+async function recordOrderReport(shop, orderId, report) {
+    await getStorage().set(REPORT_COLLECTION, `${shop}:${orderId}`, { shop, orderId, ...report });
+}
+
+module.exports = {
+    RISK_LEVELS,
+    OUTCOMES,
+    rangeEnd,
+    recordOrderResult,
+    recordOrderOutcome,
+    markCancelledByApp,
+    getOrderReport,
+    recordOrderReport,
+    listOrderResults,
+    outcomeReport,
+};
@@ -0,0 +1,91 @@
+/**
+ * FraudShieldBD — Phone History
+ *
+ * Every successful check, kept per shop and phone number, so the admin
+ * panel can show how a customer's success ratio changed over time and
+ * every order they placed with the store.
+ */
+
+const { getStorage } = require('./storage');
+
+const COLLECTION = 'phone_history';
+
+// Checks kept per phone (oldest dropped first)
+const HISTORY_LIMIT = 100;
+
+/**
+ * Persist one check result for a phone
+ * @param {string} shop
+ * @param {string} phone - Sanitized phone (01XXXXXXXXX)
+ * @param {object|null} order - Shopify order, or null for a manual phone check
+ * @param {object} result - Successful FraudShieldAPI result
+ */
+async function recordPhoneCheck(shop, phone, order, result) {
+    const storage = getStorage();
+    const key = `${shop}:${phone}`;
+    const entry = (await storage.get(COLLECTION, key)) || { shop, phone, checks: [] };
+
+    entry.checks.push({
+        orderId: order ? order.id : null,
+        orderNumber: order ? order.order_number : null,
+        orderName: order ? (order.name || `#${order.order_number}`) : null,
+        totalPrice: order ? order.total_price || null : null,
+        currency: order ? order.currency || null : null,
+        riskLevel: result.riskLevel,
+        riskScore: result.riskScore ?? null,
+        summary: result.summary,
+        couriers: result.couriers || {},
+        reportCount: result.reportCount,
+        checkedAt: result.checkedAt || new Date().toISOString(),
+    });
+
+    entry.checks = entry.checks.slice(-HISTORY_LIMIT);
+    entry.updatedAt = new Date().toISOString();
+    await storage.set(COLLECTION, key, entry);
+}
+
+/**
+ * History for a phone: every check, the customer's orders and the
+ * success ratio trend
+ * @param {string} shop
+ * @param {string} phone - Sanitized phone
+ * @returns {Promise<{phone: string, checks: object[], orders: object[], trend: object[], ratioChange: number|null}>}
+ */
+async function getPhoneHistory(shop, phone) {
+    const entry = await getStorage().get(COLLECTION, `${shop}:${phone}`);
+    const checks = entry ? entry.checks : [];
+
+    // One row per order, with its latest check
+    const orders = new Map();
+    for (const check of checks) {
+        if (check.orderId) orders.set(String(check.orderId), check);
+    }
+
+    const trend = checks.map(c => ({
+        checkedAt: c.checkedAt,
+        successRatio: c.summary.successRatio,
+        totalParcel: c.summary.totalParcel,
+    }));
+
+    return {
+        phone,
+        checks: [...checks].reverse(),
+        orders: [...orders.values()].reverse().map(c => ({
+            orderId: c.orderId,
+            orderNumber: c.orderNumber,
+            orderName: c.orderName,
+            totalPrice: c.totalPrice,
+            currency: c.currency,
+            riskLevel: c.riskLevel,
+            riskScore: c.riskScore ?? null,
+            successRatio: c.summary.successRatio,
+            checkedAt: c.checkedAt,
+        })),
+        trend,
+        ratioChange: trend.length > 1
+            ? Math.round((trend[trend.length - 1].successRatio - trend[0].successRatio) * 100) / 100
+            : null,
+    };
+}
+
+module.exports = { recordPhoneCheck, getPhoneHistory };
@@ -0,0 +1,242 @@
+/**
+ * FraudShieldBD — Phone Blocklist / Allowlist
+ *
+ * Merchant-managed lists per shop. OrderChecker consults them before
+ * calling the FraudShieldBD API:
+ *   - blocklist: always high risk (tagged fsbd:blocklisted)
+ *   - allowlist: always safe, without the paid API call (fsbd:allowlisted)
+ *
+ * A phone is on at most one list; adding it to one removes it from the other.
+ */
+
+const FraudShieldAPI = require('./fraudshield-api');
+const { getStorage } = require('./storage');
+const { parseCsv } = require('./csv');
+const { toAsciiDigits } = require('./phone');
+
+const COLLECTION = 'phone_lists';
+
+const LISTS = ['blocklist', 'allowlist'];
+
+const LIST_OUTCOMES = {
+    blocklist: {
+        riskLevel: 'high',
+        riskLabel: 'ব্লকলিস্টেড',
+        riskIcon: '🚫',
+        riskColor: '#dc2626',
+        tag: 'fsbd:blocklisted',
+    },
+    allowlist: {
+        riskLevel: 'safe',
+        riskLabel: 'বিশ্বস্ত (অ্যালাউলিস্ট)',
+        riskIcon: '💚',
+        riskColor: '#16a34a',
+        tag: 'fsbd:allowlisted',
+    },
+};
+
+const api = new FraudShieldAPI();
+
+// Tail of the promise chain per shop whose lists are being updated
+const listLocks = new Map();
+
+async function loadLists(shop) {
+    return (await getStorage().get(COLLECTION, shop)) || { blocklist: {}, allowlist: {} };
+}
+
+/**
+ * Run fn while holding the update lock for a shop's lists (read-modify-write)
+ */
+async function withListLock(shop, fn) {
+    const previous = listLocks.get(shop) || Promise.resolve();
+    const current = previous.then(fn);
+    const tail = current.catch(() => {});
+    listLocks.set(shop, tail);
+
+    try {
+        return await current;
+    } finally {
+        if (listLocks.get(shop) === tail) listLocks.delete(shop);
+    }
+}
+
+/**
+ * Both lists for a shop, newest first
+ * @returns {Promise<{blocklist: object[], allowlist: object[]}>}
+ */
+async function getPhoneLists(shop) {
+    const lists = await loadLists(shop);
+    const toArray = list => Object.entries(list)
+        .map(([phone, entry]) => ({ phone, ...entry }))
+        .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+
+    return { blocklist: toArray(lists.blocklist), allowlist: toArray(lists.allowlist) };
+}
+
+/**
+ * Add phones to a list. Entries that are not objects count as invalid.
+ * @param {string} shop
+ * @param {string} list - blocklist | allowlist
+ * @param {Array<{phone: string, note?: string}>} entries
+ * @returns {Promise<{added: string[], invalid: string[]}>}
+ */
+async function addPhones(shop, list, entries) {
+    const other = list === 'blocklist' ? 'allowlist' : 'blocklist';
+
+    return withListLock(shop, async () => {
+        const lists = await loadLists(shop);
+        const added = [];
+        const invalid = [];
+
+        for (const entry of entries) {
+            if (!entry || typeof entry !== 'object') {
+                invalid.push(String(entry ?? ''));
+                continue;
+            }
+
+            const { phone: raw, note } = entry;
+            const phone = api.sanitizePhone(String(raw || ''));
+            if (!phone) {
+                invalid.push(String(raw || ''));
+                continue;
+            }
+
+            delete lists[other][phone];
+            lists[list][phone] = {
+                note: note ? String(note).slice(0, 200) : '',
+                addedAt: new Date().toISOString(),
+            };
+            added.push(phone);
+        }
+
+        await getStorage().set(COLLECTION, shop, lists);
+        return { added, invalid };
+    });
+}
+
+/**
+ * Remove a phone from a list
+ * @returns {Promise<boolean>} Whether it was on the list
+ */
+async function removePhone(shop, list, phone) {
+    const cleaned = api.sanitizePhone(phone);
+    if (!cleaned) return false;
+
+    return withListLock(shop, async () => {
+        const lists = await loadLists(shop);
+        if (!lists[list][cleaned]) return false;
+
+        delete lists[list][cleaned];
+        await getStorage().set(COLLECTION, shop, lists);
+        return true;
+    });
+}
+
+/**
+ * Remove phones from both lists (customer redaction)
+ * @param {string} shop
+ * @param {Iterable<string>} phones - Sanitized numbers
+ */
+async function forgetPhones(shop, phones) {
+    await withListLock(shop, async () => {
+        const lists = await getStorage().get(COLLECTION, shop);
+        if (!lists) return;
+
+        for (const entries of Object.values(lists)) {
+            for (const phone of phones) delete entries[phone];
+        }
+        await getStorage().set(COLLECTION, shop, lists);
+    });
+}
+
+/**
+ * Which list a phone is on
+ * @returns {Promise<{list: string, phone: string, note: string, addedAt: string}|null>}
+ */
+async function lookupPhone(shop, phone) {
+    const cleaned = api.sanitizePhone(phone);
+    if (!cleaned) return null;
+
+    const lists = await loadLists(shop);
+    for (const list of LISTS) {
+        if (lists[list][cleaned]) return { list, phone: cleaned, ...lists[list][cleaned] };
+    }
+    return null;
+}
+
+/**
+ * Force the list's outcome onto a check result.
+ * Without an API result (allowlist, or the API failed) the courier
+ * summary is empty.
+ * @param {object} listed - From lookupPhone()
+ * @param {object|null} result - Successful FraudShieldAPI result, if any
+ * @returns {object} Result in FraudShieldAPI's shape, with `listed`
+ */
+function applyPhoneList(listed, result = null) {
+    const { tag, ...outcome } = LIST_OUTCOMES[listed.list];
+
+    if (result && result.success) {
+        return { ...result, ...outcome, listed: listed.list };
+    }
+
+    return {
+        success: true,
+        ...outcome,
+        summary: { totalParcel: 0, successParcel: 0, cancelledParcel: 0, successRatio: 0 },
+        couriers: {},
+        reports: [],
+        reportCount: 0,
+        listed: listed.list,
+        fromList: true,
+        checkedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Check a phone, honouring the shop's lists.
+ * Allowlisted numbers skip the FraudShieldBD API call; blocklisted ones
+ * are still checked so the courier data shows, but are always high risk.
+ * @param {string} shop
+ * @param {FraudShieldAPI} client - Configured with the shop's settings
+ * @param {string} phone
+ * @param {object} [options] - FraudShieldAPI.checkPhone() options
+ * @returns {Promise<object>} FraudShieldAPI result (with `listed` when on a list)
+ */
+async function checkPhoneWithLists(shop, client, phone, options = {}) {
+    const listed = await lookupPhone(shop, phone);
+    if (listed && listed.list === 'allowlist') return applyPhoneList(listed);
+
+    const result = await client.checkPhone(phone, options);
+    return listed ? applyPhoneList(listed, result) : result;
+}
+
+/**
+ * Tag for a listed result
+ */
+function listTag(list) {
+    return LIST_OUTCOMES[list] ? LIST_OUTCOMES[list].tag : null;
+}
+
+/**
+ * Parse CSV text: phone in the first column, optional note in the second.
+ * A header row (no digits in the first column) is skipped.
+ * @returns {Array<{phone: string, note: string}>}
+ */
+function parsePhoneCsv(text) {
+    return parseCsv(text)
+        .filter(([phone]) => phone && /\d/.test(toAsciiDigits(phone)))
+        .map(([phone, ...rest]) => ({ phone, note: rest.join(', ') }));
+}
+
+module.exports = {
+    LISTS,
+    getPhoneLists,
+    addPhones,
+    removePhone,
+    forgetPhones,
+    lookupPhone,
+    applyPhoneList,
+    checkPhoneWithLists,
+    listTag,
+    parsePhoneCsv,
+};
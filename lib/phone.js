@@ -0,0 +1,161 @@
+/**
+ * FraudShieldBD — Phone Numbers
+ *
+ * Normalizes Bangladeshi mobile numbers as customers actually type
+ * them: Bangla (০১৭…) or Eastern Arabic (٠١٧…) digits, +880 / 880 /
+ * 00880 prefixes, a missing leading 0, dashes, dots and spaces, and
+ * several numbers in one field ("017-1234-5678 / 018…"). Every number
+ * comes out as 01XXXXXXXXX with its operator; rejected input comes with
+ * a reason and a Bangla message.
+ */
+
+// Digit blocks converted to ASCII: Bangla, Arabic-Indic, Extended Arabic-Indic (Persian / Urdu)
+const DIGIT_BLOCKS = [0x09E6, 0x0660, 0x06F0];
+
+// Operator by the first three digits
+const OPERATORS = {
+    '013': 'grameenphone',
+    '017': 'grameenphone',
+    '014': 'banglalink',
+    '019': 'banglalink',
+    '015': 'teletalk',
+    '016': 'airtel',
+    '018': 'robi',
+};
+
+const OPERATOR_NAMES = {
+    grameenphone: 'Grameenphone',
+    robi: 'Robi',
+    banglalink: 'Banglalink',
+    teletalk: 'Teletalk',
+    airtel: 'Airtel',
+};
+
+// Why a number was rejected
+const INVALID_REASONS = {
+    empty: () => 'ফোন নম্বর দেওয়া হয়নি',
+    no_digits: () => 'নম্বরে কোনো সংখ্যা নেই',
+    foreign: () => 'বাংলাদেশি নম্বর নয় (দেশের কোড +880 নয়)',
+    too_short: n => `নম্বরে 11টি সংখ্যা থাকার কথা, আছে ${n}টি`,
+    too_long: n => `নম্বরে 11টি সংখ্যা থাকার কথা, আছে ${n}টি`,
+    not_mobile: () => 'মোবাইল নম্বর নয় (01 দিয়ে শুরু হয়নি)',
+    unknown_operator: prefix => `${prefix} কোনো মোবাইল অপারেটরের নম্বর নয়`,
+};
+
+// A number inside a run of digits (several numbers typed without separators)
+const NUMBER_IN_RUN = /(?:00880|880)?0?1[3-9]\d{8}/g;
+
+// Digits joined by spaces, dashes, dots or brackets, with an optional leading +
+const DIGIT_CHUNK = /\+?\d(?:[\d\s\-.()]*\d)?/g;
+
+/**
+ * Replace Bangla / Eastern Arabic digits with ASCII digits
+ * @param {string} text
+ * @returns {string}
+ */
+function toAsciiDigits(text) {
+    return String(text ?? '').replace(/[০-৯٠-٩۰-۹]/g, ch => {
+        const code = ch.charCodeAt(0);
+        const block = DIGIT_BLOCKS.find(start => code >= start && code <= start + 9);
+        return String(code - block);
+    });
+}
+
+/**
+ * Operator of a normalized number
+ * @param {string} phone - 01XXXXXXXXX
+ * @returns {{key: string, name: string}|null}
+ */
+function operatorFor(phone) {
+    const key = OPERATORS[String(phone).slice(0, 3)];
+    return key ? { key, name: OPERATOR_NAMES[key] } : null;
+}
+
+function invalid(input, reason, detail) {
+    return { valid: false, input, phone: null, operator: null, reason, message: INVALID_REASONS[reason](detail) };
+}
+
+/**
+ * Normalize one phone number
+ * @param {string} input - As typed (one number)
+ * @returns {{valid: boolean, input: string, phone: string|null, operator: object|null, reason: string|null, message: string|null}}
+ */
+function normalizePhone(input) {
+    const raw = String(input ?? '').trim();
+    const text = toAsciiDigits(raw);
+    if (!text) return invalid(raw, 'empty');
+
+    let digits = text.replace(/\D/g, '');
+    if (!digits) return invalid(raw, 'no_digits');
+
+    if (digits.startsWith('00880')) {
+        digits = digits.slice(5);
+    } else if (digits.startsWith('880')) {
+        digits = digits.slice(3);
+    } else if (text.startsWith('+') || digits.startsWith('00')) {
+        return invalid(raw, 'foreign');
+    }
+
+    // 1712345678 — leading 0 left out (also after +880)
+    if (digits.length === 10 && digits.startsWith('1')) digits = `0${digits}`;
+
+    if (!digits.startsWith('01')) return invalid(raw, 'not_mobile');
+    if (digits.length < 11) return invalid(raw, 'too_short', digits.length);
+    if (digits.length > 11) return invalid(raw, 'too_long', digits.length);
+
+    const operator = operatorFor(digits);
+    if (!operator) return invalid(raw, 'unknown_operator', digits.slice(0, 3));
+
+    return { valid: true, input: raw, phone: digits, operator, reason: null, message: null };
+}
+
+/**
+ * Find every phone number in a field
+ * @param {string} input - e.g. "017-1234-5678 / ০১৮১২৩৪৫৬৭৮"
+ * @returns {{phones: Array<{phone: string, operator: object}>, invalid: object[], error: {reason: string, message: string}|null}}
+ *   `error` explains why nothing valid was found
+ */
+function extractPhones(input) {
+    const text = toAsciiDigits(input);
+    const phones = [];
+    const rejected = [];
+
+    const add = result => {
+        if (!result.valid) {
+            rejected.push(result);
+        } else if (!phones.some(p => p.phone === result.phone)) {
+            phones.push({ phone: result.phone, operator: result.operator });
+        }
+    };
+
+    for (const chunk of text.match(DIGIT_CHUNK) || []) {
+        const result = normalizePhone(chunk);
+        const digits = chunk.replace(/\D/g, '');
+
+        // Two or more numbers with only spaces between them
+        const inRun = !result.valid && digits.length >= 20 ? digits.match(NUMBER_IN_RUN) || [] : [];
+        if (inRun.length > 1) {
+            inRun.forEach(n => add(normalizePhone(n)));
+        } else {
+            add(result);
+        }
+    }
+
+    let error = null;
+    if (phones.length === 0) {
+        // Explain the most number-like chunk
+        const closest = rejected.sort((a, b) => b.input.replace(/\D/g, '').length - a.input.replace(/\D/g, '').length)[0];
+        const reason = closest || normalizePhone(input);
+        error = { reason: reason.reason, message: reason.message };
+    }
+
+    return { phones, invalid: rejected, error };
+}
+
+module.exports = {
+    OPERATOR_NAMES,
+    toAsciiDigits,
+    operatorFor,
+    normalizePhone,
+    extractPhones,
+};
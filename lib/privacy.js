@@ -0,0 +1,299 @@
+/**
+ * FraudShieldBD — Privacy (GDPR)
+ *
+ * Data export and deletion for Shopify's mandatory compliance webhooks
+ * (customers/data_request, customers/redact, shop/redact) and for
+ * app/uninstalled.
+ *
+ * Everything the app keeps about a customer is tied to an order or to
+ * the phone number checked for it: local order results, "processed"
+ * markers, rule log entries, queued jobs (which carry the order
+ * payload), the phone's check history, the merchant's blocklist /
+ * allowlist entry and the cached FraudShieldBD result for the phone.
+ */
+
+const crypto = require('crypto');
+const FraudShieldAPI = require('./fraudshield-api');
+const ShopStore = require('./shop-store');
+const { orderQueue } = require('./order-queue');
+const { backfillQueue } = require('./backfill');
+const { bulkQueue } = require('./bulk-check');
+const { forgetPhones } = require('./phone-lists');
+const { getStorage } = require('./storage');
+const { extractPhones } = require('./phone');
+
+const EXPORT_COLLECTION = 'data_requests';
+const HISTORY_COLLECTION = 'phone_history';
+const LISTS_COLLECTION = 'phone_lists';
+
+// Collections keyed "shop:orderId"
+const ORDER_COLLECTIONS = ['order_results', 'processed_orders', 'reported_orders'];
+
+const shopStore = new ShopStore();
+
+/**
+ * Phone numbers on an order, normalized (billing, shipping, customer,
+ * order — every number in each field)
+ * @returns {string[]}
+ */
+function orderPhones(order) {
+    if (!order) return [];
+    const phones = [
+        order.billing_address?.phone,
+        order.shipping_address?.phone,
+        order.customer?.phone,
+        order.phone,
+    ].flatMap(p => extractPhones(p).phones.map(({ phone }) => phone));
+    return [...new Set(phones)];
+}
+
+/**
+ * Build a matcher for orders belonging to a customer
+ * @param {object} customer - { id, phone } from the webhook payload
+ * @param {Array<string|number>} orderIds
+ */
+function customerMatcher(customer, orderIds, api) {
+    const ids = new Set((orderIds || []).map(String));
+    const phone = api.sanitizePhone(customer?.phone);
+    const customerId = customer?.id ? String(customer.id) : null;
+
+    return order => Boolean(order) && (
+        ids.has(String(order.id)) ||
+        (customerId && String(order.customer?.id) === customerId) ||
+        (phone && orderPhones(order).includes(phone))
+    );
+}
+
+/**
+ * Queued, dead and running jobs of a shop
+ * @returns {Promise<object[]>}
+ */
+async function listShopJobs(shop) {
+    const jobs = [];
+    for (const queue of [orderQueue, backfillQueue, bulkQueue]) {
+        for (const collection of [queue.collection, queue.deadCollection]) {
+            for (const { value } of await getStorage().list(collection)) {
+                if ((value.shop || value.data?.shop) === shop) jobs.push(value);
+            }
+        }
+    }
+    return jobs;
+}
+
+/**
+ * Delete every entry of a collection matching a predicate
+ */
+async function deleteWhere(collection, predicate) {
+    const storage = getStorage();
+    for (const { key, value } of await storage.list(collection)) {
+        if (predicate(value, key)) await storage.delete(collection, key);
+    }
+}
+
+/**
+ * Collect everything held about a customer in a shop
+ * @param {string} shop
+ * @param {object} customer - { id, email, phone }
+ * @param {Array<string|number>} orderIds - Orders named in the request
+ */
+async function collectCustomerData(shop, customer, orderIds) {
+    const storage = getStorage();
+    const api = new FraudShieldAPI();
+    const matches = customerMatcher(customer, orderIds, api);
+
+    const jobs = (await listShopJobs(shop)).filter(job => matches(job.data?.order));
+
+    // Orders found through queued payloads (customer id / phone) count too
+    const ids = new Set([
+        ...(orderIds || []).map(String),
+        ...jobs.map(job => String(job.data.order.id)),
+    ]);
+
+    // Phone history links phones to orders after the jobs are gone
+    const history = (await storage.list(HISTORY_COLLECTION))
+        .map(e => e.value)
+        .filter(h => h.shop === shop && h.checks.some(c => ids.has(String(c.orderId))));
+
+    const phones = new Set([
+        api.sanitizePhone(customer?.phone),
+        ...jobs.flatMap(job => orderPhones(job.data.order)),
+        ...history.map(h => h.phone),
+    ].filter(Boolean));
+
+    const phoneHistory = [];
+    for (const phone of phones) {
+        const entry = await storage.get(HISTORY_COLLECTION, `${shop}:${phone}`);
+        if (entry) phoneHistory.push(entry);
+    }
+
+    const lists = (await storage.get(LISTS_COLLECTION, shop)) || {};
+    const phoneLists = Object.entries(lists).flatMap(([list, entries]) =>
+        [...phones].filter(phone => entries[phone]).map(phone => ({ list, phone, ...entries[phone] }))
+    );
+
+    const records = {};
+    for (const collection of ORDER_COLLECTIONS) {
+        records[collection] = [];
+        for (const id of ids) {
+            const value = await storage.get(collection, `${shop}:${id}`);
+            if (value) records[collection].push(value);
+        }
+    }
+
+    const ruleLog = ((await storage.get('rule_log', shop)) || [])
+        .filter(entry => ids.has(String(entry.orderId)));
+
+    const cachedResults = [];
+    for (const phone of phones) {
+        const result = await api.getCachedResult(phone);
+        if (result) cachedResults.push({ phone, result });
+    }
+
+    return { ids, phones, jobs, records, ruleLog, phoneHistory, phoneLists, cachedResults };
+}
+
+// ── customers/data_request ────────────────────
+
+/**
+ * Build and store an export of everything held about a customer
+ * @param {string} shop
+ * @param {object} payload - customers/data_request webhook body
+ * @returns {Promise<object>} The stored export
+ */
+async function exportCustomerData(shop, payload) {
+    const customer = payload.customer || {};
+    const data = await collectCustomerData(shop, customer, payload.orders_requested);
+
+    const record = {
+        id: crypto.randomUUID(),
+        shop,
+        requestId: payload.data_request?.id || null,
+        customer: {
+            id: customer.id || null,
+            email: customer.email || null,
+            phone: customer.phone || null,
+        },
+        orderIds: [...data.ids],
+        phones: [...data.phones],
+        data: {
+            orderResults: data.records.order_results,
+            processedOrders: data.records.processed_orders,
+            ruleLog: data.ruleLog,
+            phoneHistory: data.phoneHistory,
+            phoneLists: data.phoneLists,
+            cachedResults: data.cachedResults,
+            jobs: data.jobs.map(job => ({
+                id: job.id,
+                type: job.type,
+                status: job.status,
+                createdAt: job.createdAt,
+                order: job.data.order,
+            })),
+        },
+        createdAt: new Date().toISOString(),
+    };
+
+    await getStorage().set(EXPORT_COLLECTION, record.id, record);
+    return record;
+}
+
+/**
+ * Stored data exports for a shop, newest first (without the data itself)
+ */
+async function listDataExports(shop) {
+    return (await getStorage().list(EXPORT_COLLECTION))
+        .map(e => e.value)
+        .filter(r => r.shop === shop)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(({ data, ...summary }) => summary);
+}
+
+/**
+ * A single data export, only if it belongs to the shop
+ * @returns {Promise<object|null>}
+ */
+async function getDataExport(shop, id) {
+    const record = await getStorage().get(EXPORT_COLLECTION, id);
+    return record && record.shop === shop ? record : null;
+}
+
+// ── customers/redact ──────────────────────────
+
+/**
+ * Delete everything held about a customer
+ * @param {string} shop
+ * @param {object} payload - customers/redact webhook body
+ * @returns {Promise<{orders: number, jobs: number, phones: number}>}
+ */
+async function redactCustomer(shop, payload) {
+    const storage = getStorage();
+    const api = new FraudShieldAPI();
+    const { ids, phones } = await collectCustomerData(shop, payload.customer, payload.orders_to_redact);
+
+    for (const collection of ORDER_COLLECTIONS) {
+        for (const id of ids) await storage.delete(collection, `${shop}:${id}`);
+    }
+
+    for (const phone of phones) await storage.delete(HISTORY_COLLECTION, `${shop}:${phone}`);
+
+    await forgetPhones(shop, phones);
+
+    const ruleLog = (await storage.get('rule_log', shop)) || [];
+    const keptLog = ruleLog.filter(entry => !ids.has(String(entry.orderId)));
+    if (keptLog.length !== ruleLog.length) await storage.set('rule_log', shop, keptLog);
+
+    const matches = customerMatcher(payload.customer, [...ids], api);
+    const jobs = await orderQueue.removeJobs(job => job.shop === shop && matches(job.data?.order));
+
+    // Earlier data exports for this customer hold the same data
+    const customerId = payload.customer?.id ? String(payload.customer.id) : null;
+    await deleteWhere(EXPORT_COLLECTION, r => r.shop === shop && (
+        r.orderIds.some(id => ids.has(id)) ||
+        (customerId && String(r.customer.id) === customerId)
+    ));
+
+    for (const phone of phones) await api.clearCache(phone);
+
+    return { orders: ids.size, jobs, phones: phones.size };
+}
+
+// ── shop/redact & app/uninstalled ─────────────
+
+/**
+ * Delete everything stored for a shop: token, settings, rules, history,
+ * queued work and cached phone results
+ * @param {string} shop
+ */
+async function purgeShop(shop) {
+    const storage = getStorage();
+
+    await shopStore.deleteShop(shop);
+
+    await orderQueue.removeJobs(job => job.shop === shop);
+    await backfillQueue.removeJobs(job => (job.shop || job.data?.shop) === shop);
+    await storage.delete('backfills', shop);
+    await bulkQueue.removeJobs(job => (job.shop || job.data?.shop) === shop);
+    await deleteWhere('bulk_checks', value => value.shop === shop);
+    await storage.delete('rule_log', shop);
+    await storage.delete(LISTS_COLLECTION, shop);
+    await storage.delete('quota_alerts', shop);
+
+    for (const collection of ORDER_COLLECTIONS) {
+        await deleteWhere(collection, value => value.shop === shop);
+    }
+    await deleteWhere(HISTORY_COLLECTION, value => value.shop === shop);
+    await deleteWhere('webhook_ids', value => value.shop === shop);
+    await deleteWhere('quota_paused_orders', value => value.shop === shop);
+    await deleteWhere(EXPORT_COLLECTION, value => value.shop === shop);
+
+    // The phone cache is shared between shops and keyed by phone only
+    await new FraudShieldAPI().clearCache();
+}
+
+module.exports = {
+    exportCustomerData,
+    listDataExports,
+    getDataExport,
+    redactCustomer,
+    purgeShop,
+};
@@ -0,0 +1,237 @@
+/**
+ * FraudShieldBD — API Quota
+ *
+ * Records the daily quota FraudShieldBD reports in its rate-limit
+ * headers (x-daily-limit, x-daily-remaining, x-subscription-plan) per
+ * API key, with a day-by-day count of the checks made. Keys are stored
+ * by hash only.
+ *
+ * When the remaining quota drops below a shop's reserve (quotaReserve),
+ * auto-checks of non-COD orders (quotaPauseNonCod) and of orders below
+ * quotaMinOrderTotal are paused, leaving the rest of the quota for the
+ * orders that matter. The shop gets a low-quota alert (shown in the
+ * admin panel) once per day, with the number of paused orders. Paused
+ * orders are kept by lib/order-queue.js and checked once the quota resets.
+ *
+ * Days follow Bangladesh time (UTC+6).
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+const USAGE_COLLECTION = 'api_usage';
+const ALERT_COLLECTION = 'quota_alerts';
+
+// Days of history kept per API key
+const HISTORY_DAYS = 30;
+
+const BD_OFFSET_MS = 6 * 60 * 60 * 1000;
+
+// Tail of the promise chain per API key currently being updated
+const usageLocks = new Map();
+
+/**
+ * Today's date in Bangladesh (YYYY-MM-DD)
+ */
+function bdDate(now = new Date()) {
+    return new Date(now.getTime() + BD_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Storage key for an API key (never stored in plain text)
+ */
+function usageKey(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16);
+}
+
+function toCount(value) {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? null : n;
+}
+
+/**
+ * Run fn while holding the update lock for an API key (counts are read-modify-write)
+ */
+async function withUsageLock(key, fn) {
+    const previous = usageLocks.get(key) || Promise.resolve();
+    const current = previous.then(fn);
+    const tail = current.catch(() => {});
+    usageLocks.set(key, tail);
+
+    try {
+        return await current;
+    } finally {
+        if (usageLocks.get(key) === tail) usageLocks.delete(key);
+    }
+}
+
+/**
+ * Record one API check and the quota headers that came with it
+ * @param {string} apiKey
+ * @param {object} rateInfo - FraudShieldAPI result `rateInfo` ({ dailyLimit, dailyRemaining, plan })
+ * @returns {Promise<object>} Updated usage record
+ */
+async function recordUsage(apiKey, rateInfo = {}) {
+    const key = usageKey(apiKey);
+    const storage = getStorage();
+
+    return withUsageLock(key, async () => {
+        const date = bdDate();
+        const usage = (await storage.get(USAGE_COLLECTION, key)) || { history: [] };
+        const limit = toCount(rateInfo.dailyLimit);
+        const remaining = toCount(rateInfo.dailyRemaining);
+
+        let day = usage.history.find(d => d.date === date);
+        if (!day) {
+            day = { date, checks: 0, limit: null, remaining: null };
+            usage.history.push(day);
+        }
+        day.checks++;
+        if (limit !== null) day.limit = limit;
+        // Concurrent responses can arrive out of order — remaining only goes down during a day
+        if (remaining !== null) day.remaining = day.remaining === null ? remaining : Math.min(day.remaining, remaining);
+
+        usage.plan = rateInfo.plan || usage.plan || null;
+        usage.updatedAt = new Date().toISOString();
+        usage.history = usage.history
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .slice(-HISTORY_DAYS);
+
+        await storage.set(USAGE_COLLECTION, key, usage);
+        return usage;
+    });
+}
+
+/**
+ * Current quota for an API key. A new day starts with the last known
+ * limit (the quota has reset, nothing used yet).
+ * @param {string} apiKey
+ * @returns {Promise<{plan: string|null, dailyLimit: number|null, dailyRemaining: number|null, checksToday: number, updatedAt: string|null, history: object[]}>}
+ */
+async function getUsage(apiKey) {
+    const usage = apiKey ? await getStorage().get(USAGE_COLLECTION, usageKey(apiKey)) : null;
+    const history = usage ? usage.history : [];
+    const today = history.find(d => d.date === bdDate());
+    const lastLimit = [...history].reverse().find(d => d.limit !== null);
+    const dailyLimit = today?.limit ?? lastLimit?.limit ?? null;
+
+    return {
+        plan: usage?.plan || null,
+        dailyLimit,
+        dailyRemaining: today ? today.remaining ?? null : dailyLimit,
+        checksToday: today ? today.checks : 0,
+        updatedAt: usage?.updatedAt || null,
+        history,
+    };
+}
+
+/**
+ * Whether the remaining quota is below the shop's reserve
+ * @param {object} usage - From getUsage()
+ * @param {object} settings - Shop settings ({ quotaReserve })
+ */
+function isQuotaLow(usage, settings) {
+    return settings.quotaReserve > 0 &&
+        usage.dailyRemaining !== null &&
+        usage.dailyRemaining < settings.quotaReserve;
+}
+
+/**
+ * Why an order's auto-check is paused while quota is low
+ * @param {object} order - Shopify order object
+ * @param {boolean} isCod
+ * @param {object} settings - Shop settings ({ quotaPauseNonCod, quotaMinOrderTotal })
+ * @returns {string|null} non_cod | low_value, or null to check the order
+ */
+function pauseReason(order, isCod, settings) {
+    if (settings.quotaPauseNonCod && !isCod) return 'non_cod';
+    if (parseFloat(order.total_price || 0) < settings.quotaMinOrderTotal) return 'low_value';
+    return null;
+}
+
+/**
+ * Raise (or update) today's low-quota alert for a shop
+ * @param {string} shop
+ * @param {object} usage - From getUsage()
+ * @param {boolean} paused - An order was just paused
+ * @returns {Promise<object>} The alert
+ */
+async function raiseQuotaAlert(shop, usage, paused) {
+    const storage = getStorage();
+    const date = bdDate();
+    const existing = await storage.get(ALERT_COLLECTION, shop);
+    const alert = existing && existing.date === date
+        ? existing
+        : { date, raisedAt: new Date().toISOString(), pausedOrders: 0 };
+
+    if (!existing || existing.date !== date) {
+        console.warn(`[FSBD] ⚠️ Low FraudShieldBD quota for ${shop}: ${usage.dailyRemaining}/${usage.dailyLimit} left today`);
+    }
+
+    alert.dailyRemaining = usage.dailyRemaining;
+    alert.dailyLimit = usage.dailyLimit;
+    if (paused) alert.pausedOrders++;
+
+    await storage.set(ALERT_COLLECTION, shop, alert);
+    return alert;
+}
+
+/**
+ * Today's low-quota alert for a shop, if any
+ * @returns {Promise<object|null>}
+ */
+async function getQuotaAlert(shop) {
+    const alert = await getStorage().get(ALERT_COLLECTION, shop);
+    return alert && alert.date === bdDate() && !alert.dismissed ? alert : null;
+}
+
+/**
+ * Hide today's alert in the admin panel (pausing continues)
+ */
+async function dismissQuotaAlert(shop) {
+    const alert = await getQuotaAlert(shop);
+    if (alert) await getStorage().set(ALERT_COLLECTION, shop, { ...alert, dismissed: true });
+}
+
+/**
+ * Validate quotaReserve / quotaMinOrderTotal from a settings update
+ * (quotaPauseNonCod is a plain boolean setting)
+ * @param {object} input - Partial settings
+ * @returns {{errors: string[], changes: object}}
+ */
+function validateQuotaSettings(input) {
+    const errors = [];
+    const changes = {};
+
+    if (input.quotaReserve !== undefined) {
+        const value = Number(input.quotaReserve);
+        if (input.quotaReserve === '' || input.quotaReserve === null || !Number.isInteger(value) || value < 0) {
+            errors.push('quotaReserve must be a whole number (0 or more)');
+        } else {
+            changes.quotaReserve = value;
+        }
+    }
+
+    if (input.quotaMinOrderTotal !== undefined) {
+        const value = Number(input.quotaMinOrderTotal);
+        if (input.quotaMinOrderTotal === '' || input.quotaMinOrderTotal === null || !Number.isFinite(value) || value < 0) {
+            errors.push('quotaMinOrderTotal must be a number (0 or more)');
+        } else {
+            changes.quotaMinOrderTotal = value;
+        }
+    }
+
+    return { errors, changes };
+}
+
+module.exports = {
+    bdDate,
+    recordUsage,
+    getUsage,
+    isQuotaLow,
+    pauseReason,
+    raiseQuotaAlert,
+    getQuotaAlert,
+    dismissQuotaAlert,
+    validateQuotaSettings,
+};
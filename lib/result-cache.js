@@ -0,0 +1,429 @@
+/**
+ * FraudShieldBD — Result Cache
+ *
+ * Caches FraudShieldBD check results by phone number. The cache is
+ * shared between shops (results are re-scored with each shop's
+ * settings on read). Backends (CACHE_DRIVER):
+ *   - memory: this process only, lost on restart
+ *   - disk:   one JSON file per phone under CACHE_DIR — survives restarts
+ *             and is shared by every server using the same directory
+ *   - redis:  any Redis-compatible client — shared between servers; while
+ *             Redis is unreachable or slow, the in-process cache is used
+ *
+ * Entries record when they were stored and freshness is decided on
+ * read, so every shop applies its own TTL to the same entry:
+ *   age < ttl            fresh — served as is
+ *   age < ttl + stale    stale — served, refreshed in the background
+ *   older                miss
+ *
+ * Negative results (the API rejected the number as invalid) are cached
+ * separately for CACHE_NEGATIVE_TTL_SECONDS. API errors (auth, quota,
+ * timeouts, 5xx) are never cached.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NodeCache = require('node-cache');
+const config = require('../config');
+
+// Errors that describe the phone number itself, not the API call
+const NEGATIVE_ERRORS = ['invalid_phone'];
+
+const TTL_FIELDS = ['cacheTtl', 'cacheStaleTtl'];
+
+// ── Backends ──────────────────────────────────
+
+/**
+ * In-process backend
+ */
+class MemoryCache {
+    constructor() {
+        this.cache = new NodeCache({ checkperiod: 60, useClones: false });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<object|null>} Stored entry
+     */
+    async get(key) {
+        return this.cache.get(key) || null;
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} entry
+     * @param {number} ttlMs - Time after which the backend may drop the entry
+     */
+    async set(key, entry, ttlMs) {
+        this.cache.set(key, entry, Math.ceil(ttlMs / 1000));
+    }
+
+    async delete(key) {
+        this.cache.del(key);
+    }
+
+    async clear() {
+        this.cache.flushAll();
+    }
+}
+
+/**
+ * Disk backend — one file per key, written atomically (temp file + rename)
+ * so several processes can share the directory
+ */
+class DiskCache {
+    /**
+     * @param {string} dir - Cache directory
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    filePath(key) {
+        return path.join(this.dir, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    }
+
+    async get(key) {
+        const file = this.filePath(key);
+        let stored;
+        try {
+            stored = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`[FSBD] Failed to read cache file ${file}:`, err.message);
+            }
+            return null;
+        }
+
+        if (stored.expiresAt <= Date.now()) {
+            await this.delete(key);
+            return null;
+        }
+        return stored.entry;
+    }
+
+    async set(key, entry, ttlMs) {
+        const file = this.filePath(key);
+        const tmpPath = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ entry, expiresAt: Date.now() + ttlMs }));
+        await fs.promises.rename(tmpPath, file);
+    }
+
+    async delete(key) {
+        await fs.promises.unlink(this.filePath(key)).catch(err => {
+            if (err.code !== 'ENOENT') throw err;
+        });
+    }
+
+    async clear() {
+        for (const name of await fs.promises.readdir(this.dir)) {
+            if (name.endsWith('.json')) await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+        }
+    }
+
+    /**
+     * Remove expired files (entries that are never read again stay on disk otherwise)
+     * @returns {Promise<number>} Files removed
+     */
+    async prune() {
+        let removed = 0;
+        for (const name of await fs.promises.readdir(this.dir)) {
+            if (!name.endsWith('.json')) continue;
+            const file = path.join(this.dir, name);
+            try {
+                const stored = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+                if (stored.expiresAt > Date.now()) continue;
+            } catch (err) {
+                if (err.code === 'ENOENT') continue;
+            }
+            await fs.promises.unlink(file).catch(() => {});
+            removed++;
+        }
+        return removed;
+    }
+}
+
+/**
+ * Redis backend over an injected client with the ioredis command API:
+ * get(key), set(key, value, 'PX', ms), del(...keys), keys(pattern).
+ * A command that does not answer within `timeout` fails instead of
+ * holding up the phone check.
+ */
+class RedisCache {
+    /**
+     * @param {object} client - ioredis client (or a compatible stand-in)
+     * @param {string} [prefix] - Key prefix, so the Redis database can be shared
+     * @param {object} [options]
+     * @param {number} [options.timeout] - Milliseconds per command
+     */
+    constructor(client, prefix = 'fsbd:cache:', { timeout = config.cache.redisTimeout } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Run a client command, failing after `timeout`
+     */
+    command(name, ...args) {
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Redis ${name} timed out`)), this.timeout);
+        });
+        return Promise.race([this.client[name](...args), timedOut]).finally(() => clearTimeout(timer));
+    }
+
+    async get(key) {
+        const raw = await this.command('get', this.prefix + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, entry, ttlMs) {
+        await this.command('set', this.prefix + key, JSON.stringify(entry), 'PX', Math.ceil(ttlMs));
+    }
+
+    async delete(key) {
+        await this.command('del', this.prefix + key);
+    }
+
+    async clear() {
+        const keys = await this.command('keys', `${this.prefix}*`);
+        if (keys.length > 0) await this.command('del', ...keys);
+    }
+}
+
+/**
+ * A shared backend (Redis) with an in-process fallback: when a command
+ * fails, the entry is read from / written to the fallback instead, so a
+ * Redis outage costs cache hits, not phone checks. Deletes go to both.
+ */
+class FallbackCache {
+    /**
+     * @param {object} primary - e.g. RedisCache
+     * @param {object} [fallback]
+     */
+    constructor(primary, fallback = new MemoryCache()) {
+        this.primary = primary;
+        this.fallback = fallback;
+        this.down = false;
+    }
+
+    /**
+     * Run op on the primary backend, else on the fallback
+     */
+    async run(name, ...args) {
+        try {
+            const value = await this.primary[name](...args);
+            if (this.down) {
+                this.down = false;
+                console.log('[FSBD] ✅ Result cache backend is back');
+            }
+            return value;
+        } catch (err) {
+            if (!this.down) {
+                this.down = true;
+                console.error(`[FSBD] ⚠️ Result cache backend failed (${err.message}) — using the in-process cache`);
+            }
+            return this.fallback[name](...args);
+        }
+    }
+
+    async get(key) {
+        const entry = await this.run('get', key);
+        // Written to the fallback during an outage
+        return entry || (this.down ? null : this.fallback.get(key));
+    }
+
+    async set(key, entry, ttlMs) {
+        await this.run('set', key, entry, ttlMs);
+    }
+
+    async delete(key) {
+        await this.fallback.delete(key);
+        await this.run('delete', key);
+    }
+
+    async clear() {
+        await this.fallback.clear();
+        await this.run('clear');
+    }
+}
+
+// ── Result cache ──────────────────────────────
+
+class ResultCache {
+    /**
+     * @param {MemoryCache|DiskCache|RedisCache} backend
+     * @param {object} [options]
+     * @param {number} [options.maxAge] - Seconds a result is kept (longest ttl + stale a shop may set)
+     * @param {number} [options.negativeTtl] - Seconds a negative result is kept
+     */
+    constructor(backend, { maxAge = config.cache.maxAge, negativeTtl = config.cache.negativeTtl } = {}) {
+        this.backend = backend;
+        this.maxAge = maxAge;
+        this.negativeTtl = negativeTtl;
+    }
+
+    key(phone) {
+        return `fsbd_${phone}`;
+    }
+
+    /**
+     * Look up a phone's result
+     * @param {string} phone - Sanitized phone
+     * @param {object} freshness - { ttl, staleTtl } in seconds (shop settings)
+     * @returns {Promise<{result: object, stale: boolean, storedAt: string}|null>}
+     */
+    async lookup(phone, { ttl, staleTtl }) {
+        const entry = await this.read(phone);
+        if (!entry) return null;
+
+        const age = (Date.now() - entry.storedAt) / 1000;
+        const storedAt = new Date(entry.storedAt).toISOString();
+
+        if (entry.negative) {
+            return age < this.negativeTtl ? { result: entry.result, stale: false, storedAt } : null;
+        }
+        if (age < ttl) return { result: entry.result, stale: false, storedAt };
+        if (age < ttl + staleTtl) return { result: entry.result, stale: true, storedAt };
+        return null;
+    }
+
+    /**
+     * Store a check result. Successful and negative results are cached;
+     * anything else is an API error and is skipped.
+     * @param {string} phone - Sanitized phone
+     * @param {object} result - FraudShieldAPI result
+     * @returns {Promise<boolean>} Whether the result was cached
+     */
+    async store(phone, result) {
+        const negative = !result.success && NEGATIVE_ERRORS.includes(result.error);
+        if (!result.success && !negative) return false;
+
+        const ttl = negative ? this.negativeTtl : this.maxAge;
+        try {
+            await this.backend.set(this.key(phone), { result, negative, storedAt: Date.now() }, ttl * 1000);
+            return true;
+        } catch (err) {
+            console.error('[FSBD] Failed to write result cache:', err.message);
+            return false;
+        }
+    }
+
+    /**
+     * Cached result regardless of freshness (no API call)
+     * @param {string} phone - Sanitized phone
+     * @returns {Promise<object|null>}
+     */
+    async peek(phone) {
+        const entry = await this.read(phone);
+        return entry ? entry.result : null;
+    }
+
+    async delete(phone) {
+        await this.backend.delete(this.key(phone));
+    }
+
+    async clear() {
+        await this.backend.clear();
+    }
+
+    /**
+     * Read an entry; a failing backend counts as a miss
+     */
+    async read(phone) {
+        try {
+            return await this.backend.get(this.key(phone));
+        } catch (err) {
+            console.error('[FSBD] Failed to read result cache:', err.message);
+            return null;
+        }
+    }
+}
+
+/**
+ * Redis client for CACHE_REDIS_URL. ioredis is not a dependency of the
+ * app — install it on servers that use CACHE_DRIVER=redis. Commands fail
+ * at once while disconnected instead of waiting in the offline queue.
+ */
+function createRedisClient(url) {
+    let Redis;
+    try {
+        Redis = require('ioredis');
+    } catch (err) {
+        throw new Error('CACHE_DRIVER=redis needs the ioredis package (npm install ioredis)');
+    }
+
+    const client = new Redis(url, {
+        enableOfflineQueue: false,
+        commandTimeout: config.cache.redisTimeout,
+        maxRetriesPerRequest: 1,
+    });
+    // Connection errors are reported by FallbackCache; ioredis reconnects on its own
+    client.on('error', () => {});
+    return client;
+}
+
+let instance = null;
+
+/**
+ * Get the shared result cache configured in config.js
+ * @returns {ResultCache}
+ */
+function getResultCache() {
+    if (!instance) {
+        let backend;
+        if (config.cache.driver === 'redis') {
+            backend = new FallbackCache(new RedisCache(createRedisClient(config.cache.redisUrl)));
+        } else if (config.cache.driver === 'disk') {
+            backend = new DiskCache(config.cache.dir);
+            // Hourly sweep of expired files
+            setInterval(() => {
+                backend.prune().catch(err => console.error('[FSBD] Cache prune failed:', err.message));
+            }, 60 * 60 * 1000).unref();
+        } else {
+            backend = new MemoryCache();
+        }
+        instance = new ResultCache(backend);
+    }
+    return instance;
+}
+
+/**
+ * Validate cacheTtl / cacheStaleTtl from a settings update
+ * @param {object} input - Partial settings
+ * @param {object} current - Current effective settings
+ * @returns {{errors: string[], changes: object}}
+ */
+function validateCacheSettings(input, current) {
+    const errors = [];
+    const changes = {};
+
+    for (const field of TTL_FIELDS) {
+        if (input[field] === undefined) continue;
+        const value = Number(input[field]);
+        if (input[field] === '' || input[field] === null || !Number.isInteger(value) || value < 0) {
+            errors.push(`${field} must be a whole number of seconds (0 or more)`);
+        } else {
+            changes[field] = value;
+        }
+    }
+
+    const merged = { ...current, ...changes };
+    if (Object.keys(changes).length > 0 && merged.cacheTtl + merged.cacheStaleTtl > config.cache.maxAge) {
+        errors.push(`cacheTtl + cacheStaleTtl must not exceed ${config.cache.maxAge} seconds (CACHE_MAX_AGE_SECONDS)`);
+    }
+
+    return { errors, changes };
+}
+
+module.exports = {
+    MemoryCache,
+    DiskCache,
+    RedisCache,
+    FallbackCache,
+    ResultCache,
+    getResultCache,
+    validateCacheSettings,
+};
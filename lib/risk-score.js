@@ -0,0 +1,180 @@
+/**
+ * FraudShieldBD — Risk Score
+ *
+ * Composite 0–100 risk score (higher = riskier) from five components,
+ * each scored 0–100 and combined by per-shop weights:
+ *   - ratio:      delivery failure rate, shrunk towards 50% for small samples
+ *   - confidence: how little history there is (0 parcels = 100)
+ *   - cancels:    cancelled parcel count
+ *   - reports:    fraud report count
+ *   - recency:    how recent the latest fraud report is
+ *
+ * With delivery history (and a ratio weight above 0) the score never
+ * drops below the ratio component: components that add no risk (no
+ * reports, little cancelling) must not pull a customer who fails most
+ * deliveries out of "high".
+ *
+ * The risk level is derived from the score using the shop's ratio
+ * thresholds mirrored onto the score scale: high when the score is
+ * above 100 − thresholdHigh, medium above 100 − thresholdMedium. A
+ * success ratio below 50% is therefore always high with the default
+ * thresholds, as with the old ratio-only bucketing (the shrinkage
+ * towards 50% softens only very small samples for lower thresholds).
+ */
+
+const DEFAULT_WEIGHTS = {
+    ratio: 40,
+    confidence: 20,
+    cancels: 10,
+    reports: 25,
+    recency: 5,
+};
+
+const WEIGHT_FIELDS = Object.keys(DEFAULT_WEIGHTS);
+
+// Pseudo-parcels at 50% success added to every history (sample size shrinkage)
+const PRIOR_PARCELS = 4;
+const PRIOR_RATIO = 0.5;
+
+// Counts at which the cancel / report components reach ~63%
+const CANCEL_SCALE = 2;
+const REPORT_SCALE = 1.5;
+
+// A fraud report's recency halves every 90 days
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Score inputs from a FraudShieldAPI summary and report list
+ * @param {object} summary - { totalParcel, successParcel, cancelledParcel, successRatio }
+ * @param {object[]} reports - Raw fraud reports
+ * @returns {{totalParcel: number, successParcel: number, cancelledParcel: number, reportCount: number, reportDates: string[]}}
+ */
+function scoreInputs(summary, reports = []) {
+    const total = summary.totalParcel || 0;
+    const success = summary.successParcel ?? Math.round((total * (summary.successRatio || 0)) / 100);
+
+    return {
+        totalParcel: total,
+        successParcel: success,
+        cancelledParcel: summary.cancelledParcel || 0,
+        reportCount: reports.length,
+        reportDates: reports
+            .map(r => r.created_at || r.date)
+            .filter(date => date && !isNaN(new Date(date)))
+            .map(date => new Date(date).toISOString()),
+    };
+}
+
+/**
+ * Compute the composite score
+ * @param {object} inputs - From scoreInputs()
+ * @param {object} [weights] - { ratio, confidence, cancels, reports, recency }
+ * @param {Date|string} [asOf] - Reference time for recency (the check time)
+ * @returns {{score: number, components: object}|null} Null when there is no history and no report
+ */
+function computeRiskScore(inputs, weights = DEFAULT_WEIGHTS, asOf = new Date()) {
+    const { totalParcel, successParcel, cancelledParcel, reportCount, reportDates = [] } = inputs;
+    if (totalParcel === 0 && reportCount === 0) return null;
+
+    const adjustedRatio = (successParcel + PRIOR_RATIO * PRIOR_PARCELS) / (totalParcel + PRIOR_PARCELS);
+
+    const latestReport = reportDates.length > 0
+        ? Math.max(...reportDates.map(date => new Date(date).getTime()))
+        : null;
+    const reportAgeDays = latestReport !== null
+        ? Math.max(0, (new Date(asOf).getTime() - latestReport) / DAY_MS)
+        : null;
+
+    const components = {
+        ratio: 100 * (1 - adjustedRatio),
+        confidence: 100 * (PRIOR_PARCELS / (totalParcel + PRIOR_PARCELS)),
+        cancels: 100 * (1 - Math.exp(-cancelledParcel / CANCEL_SCALE)),
+        reports: 100 * (1 - Math.exp(-reportCount / REPORT_SCALE)),
+        recency: reportAgeDays !== null ? 100 * Math.pow(0.5, reportAgeDays / RECENCY_HALF_LIFE_DAYS) : 0,
+    };
+
+    const totalWeight = WEIGHT_FIELDS.reduce((sum, field) => sum + (weights[field] || 0), 0);
+    let score = totalWeight > 0
+        ? WEIGHT_FIELDS.reduce((sum, field) => sum + components[field] * (weights[field] || 0), 0) / totalWeight
+        : components.ratio;
+
+    // Delivery failure rate is the floor
+    if (totalParcel > 0 && (weights.ratio || 0) > 0) score = Math.max(score, components.ratio);
+
+    for (const field of WEIGHT_FIELDS) components[field] = Math.round(components[field]);
+
+    return { score: Math.round(score), components };
+}
+
+/**
+ * Risk level for a score
+ * @param {number|null} score
+ * @param {object} thresholds - { thresholdHigh, thresholdMedium } (success ratio %)
+ * @returns {string} high | medium | safe | unknown
+ */
+function levelForScore(score, { thresholdHigh, thresholdMedium }) {
+    if (score === null || score === undefined) return 'unknown';
+    if (score > 100 - thresholdHigh) return 'high';
+    if (score > 100 - thresholdMedium) return 'medium';
+    return 'safe';
+}
+
+/**
+ * Check that weights and thresholds still rate a customer who never
+ * accepts a parcel (0 of 10 delivered, all cancelled) as high
+ * @param {object} weights
+ * @param {object} thresholds - { thresholdHigh, thresholdMedium }
+ * @returns {string[]} Errors
+ */
+function checkCalibration(weights, thresholds) {
+    const scored = computeRiskScore(
+        { totalParcel: 10, successParcel: 0, cancelledParcel: 10, reportCount: 0, reportDates: [] },
+        weights
+    );
+    return levelForScore(scored.score, thresholds) === 'high'
+        ? []
+        : [`With these weights and thresholds a customer with 0 of 10 parcels delivered scores ${scored.score} and is not rated high — raise the ratio weight or thresholdHigh`];
+}
+
+/**
+ * Validate a (partial) weights update
+ * @param {object} input
+ * @param {object} current - Current weights
+ * @returns {{errors: string[], weights: object}}
+ */
+function validateWeights(input, current = DEFAULT_WEIGHTS) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: ['scoreWeights must be an object'], weights: current };
+    }
+
+    const weights = { ...DEFAULT_WEIGHTS, ...current };
+    for (const [field, raw] of Object.entries(input)) {
+        const value = Number(raw);
+        if (!WEIGHT_FIELDS.includes(field)) {
+            errors.push(`scoreWeights.${field} is not a known weight (${WEIGHT_FIELDS.join(', ')})`);
+        } else if (raw === '' || raw === null || !Number.isInteger(value) || value < 0 || value > 100) {
+            errors.push(`scoreWeights.${field} must be a whole number between 0 and 100`);
+        } else {
+            weights[field] = value;
+        }
+    }
+
+    if (WEIGHT_FIELDS.every(field => weights[field] === 0)) {
+        errors.push('scoreWeights: at least one weight must be above 0');
+    }
+
+    return { errors, weights };
+}
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    WEIGHT_FIELDS,
+    scoreInputs,
+    computeRiskScore,
+    levelForScore,
+    checkCalibration,
+    validateWeights,
+};
@@ -0,0 +1,333 @@
+/**
+ * FraudShieldBD — Rule Engine
+ *
+ * Per-shop rules that act on checked orders. A rule matches when all of
+ * its conditions are true, then runs its actions (hold fulfillment,
+ * cancel + restock, require advance payment, add tags). In dry-run mode
+ * actions are only logged.
+ */
+
+const { getStorage } = require('./storage');
+const { markCancelledByApp } = require('./order-results');
+
+const LOG_COLLECTION = 'rule_log';
+const LOG_LIMIT = 200;
+
+const ADVANCE_PAYMENT_TAG = 'fsbd:advance-payment';
+
+const FIELDS = {
+    riskLevel: 'string',
+    riskScore: 'number',
+    successRatio: 'number',
+    totalParcel: 'number',
+    cancelledParcel: 'number',
+    reportCount: 'number',
+    orderTotal: 'number',
+    isCod: 'boolean',
+    courierRatio: 'number',
+    preferredCourierRisk: 'string',
+    worstCourierRatio: 'number',
+};
+
+const OPERATORS = ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'in'];
+
+const ACTIONS = ['hold_fulfillment', 'cancel_order', 'require_advance_payment', 'add_tags'];
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// A number, or a numeric string like "2.5" — not "", "abc" or Infinity
+const isNumeric = value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+    && Number.isFinite(Number(value));
+
+/**
+ * Validate rule conditions
+ * @param {object[]} conditions - [{ field, op, value, courier? }]
+ * @param {string} label - Prefix for error messages
+ * @returns {string[]} Errors
+ */
+function validateConditions(conditions, label = 'conditions') {
+    const errors = [];
+    for (const [j, c] of conditions.entries()) {
+        if (!isObject(c)) {
+            errors.push(`${label}[${j}]: must be an object`);
+            continue;
+        }
+        if (!FIELDS[c.field]) errors.push(`${label}[${j}]: unknown field "${c.field}"`);
+        if (!OPERATORS.includes(c.op)) errors.push(`${label}[${j}]: unknown operator "${c.op}"`);
+        if (c.op === 'in' && !Array.isArray(c.value)) errors.push(`${label}[${j}]: "in" needs an array value`);
+        if (FIELDS[c.field] === 'number') {
+            const values = c.op === 'in' && Array.isArray(c.value) ? c.value : [c.value];
+            if (!values.every(isNumeric)) errors.push(`${label}[${j}]: "${c.field}" needs a number value`);
+        }
+        if (c.field === 'courierRatio' && !c.courier) errors.push(`${label}[${j}]: courier required`);
+    }
+    return errors;
+}
+
+/**
+ * Normalize validated conditions (non-objects are dropped, number
+ * values stored as numbers)
+ */
+function cleanConditions(conditions) {
+    const toNumber = v => (isNumeric(v) ? Number(v) : v);
+    return conditions.filter(isObject).map(c => ({
+        field: c.field,
+        op: c.op,
+        value: FIELDS[c.field] === 'number'
+            ? (Array.isArray(c.value) ? c.value.map(toNumber) : toNumber(c.value))
+            : c.value,
+        ...(c.courier ? { courier: String(c.courier).toLowerCase() } : {}),
+    }));
+}
+
+/**
+ * Validate a rule set from the admin panel
+ * @param {object} input - { dryRun, rules: [{ name, enabled, conditions, actions }] }
+ * @returns {{ errors: string[], ruleSet: object }}
+ */
+function validateRules(input) {
+    const errors = [];
+    const rules = Array.isArray(input.rules) ? input.rules : null;
+
+    if (!rules) {
+        return { errors: ['rules must be an array'], ruleSet: null };
+    }
+
+    const cleaned = rules.map((rule, i) => {
+        const label = `rules[${i}]`;
+        if (!isObject(rule)) {
+            errors.push(`${label}: must be an object`);
+            return null;
+        }
+
+        const conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
+        const actions = (Array.isArray(rule.actions) ? rule.actions : []).filter((a, j) => {
+            if (!isObject(a)) errors.push(`${label}.actions[${j}]: must be an object`);
+            return isObject(a);
+        });
+
+        if (conditions.length === 0) errors.push(`${label}: at least one condition required`);
+        if (actions.length === 0) errors.push(`${label}: at least one action required`);
+
+        errors.push(...validateConditions(conditions, `${label}.conditions`));
+
+        for (const [j, a] of actions.entries()) {
+            if (!ACTIONS.includes(a.type)) errors.push(`${label}.actions[${j}]: unknown action "${a.type}"`);
+            if (a.type === 'add_tags' && (!Array.isArray(a.tags) || a.tags.length === 0)) {
+                errors.push(`${label}.actions[${j}]: tags required`);
+            }
+        }
+
+        return {
+            name: String(rule.name || `Rule ${i + 1}`),
+            enabled: rule.enabled !== false,
+            conditions: cleanConditions(conditions),
+            actions: actions.map(a => ({
+                type: a.type,
+                ...(Array.isArray(a.tags) ? { tags: a.tags.map(t => String(t).trim()).filter(Boolean) } : {}),
+                ...(a.type === 'cancel_order' ? { restock: a.restock !== false, notifyCustomer: Boolean(a.notifyCustomer) } : {}),
+                ...(a.note ? { note: String(a.note) } : {}),
+            })),
+        };
+    });
+
+    return { errors, ruleSet: { dryRun: input.dryRun !== false, rules: cleaned } };
+}
+
+/**
+ * Build the values conditions are evaluated against
+ * @param {object} order - Shopify order
+ * @param {object} result - FraudShieldAPI result
+ * @param {boolean} isCod
+ */
+function buildContext(order, result, isCod) {
+    return {
+        riskLevel: result.riskLevel,
+        riskScore: result.riskScore ?? null,
+        successRatio: result.summary.successRatio,
+        totalParcel: result.summary.totalParcel,
+        cancelledParcel: result.summary.cancelledParcel,
+        reportCount: result.reportCount,
+        orderTotal: parseFloat(order.total_price || 0),
+        isCod,
+        couriers: result.couriers || {},
+        preferredCourierRisk: result.courierRisk?.preferred?.riskLevel ?? null,
+        worstCourierRatio: result.courierRisk?.worst?.successRatio ?? null,
+    };
+}
+
+/**
+ * Evaluate one condition against the context
+ */
+function matchCondition(condition, context) {
+    let actual;
+    if (condition.field === 'courierRatio') {
+        const key = Object.keys(context.couriers).find(k => k.toLowerCase() === condition.courier);
+        const courier = key && context.couriers[key];
+        if (!courier || courier.totalParcel === 0) return false;
+        actual = courier.successRatio;
+    } else {
+        actual = context[condition.field];
+    }
+
+    // No value (e.g. no score, no courier history) never matches a number condition
+    if (FIELDS[condition.field] === 'number' && (actual === null || actual === undefined)) return false;
+
+    const expected = FIELDS[condition.field] === 'number' && condition.op !== 'in'
+        ? Number(condition.value)
+        : condition.value;
+
+    switch (condition.op) {
+        case 'eq': return actual === expected;
+        case 'neq': return actual !== expected;
+        case 'lt': return actual < expected;
+        case 'lte': return actual <= expected;
+        case 'gt': return actual > expected;
+        case 'gte': return actual >= expected;
+        case 'in': return expected.includes(actual);
+        default: return false;
+    }
+}
+
+/**
+ * Rules whose conditions all match
+ * @returns {object[]}
+ */
+function evaluateRules(rules, context) {
+    return rules.filter(rule =>
+        rule.enabled && rule.conditions.every(c => matchCondition(c, context))
+    );
+}
+
+class RuleEngine {
+    /**
+     * @param {import('./shopify-client')} shopifyClient
+     * @param {import('./storage').MemoryStore} [storage]
+     */
+    constructor(shopifyClient, storage = getStorage()) {
+        this.shopify = shopifyClient;
+        this.storage = storage;
+    }
+
+    /**
+     * Evaluate the shop's rules for a checked order and run the actions
+     * @param {object} ruleSet - { dryRun, rules }
+     * @returns {Promise<object[]>} Executed (or simulated) actions
+     */
+    async run(ruleSet, order, result, isCod) {
+        if (!ruleSet || ruleSet.rules.length === 0) return [];
+
+        const matched = evaluateRules(ruleSet.rules, buildContext(order, result, isCod));
+        if (matched.length === 0) return [];
+
+        // Merge actions from every matched rule; cancelling makes a hold pointless
+        const actions = [];
+        const tags = new Set();
+        for (const rule of matched) {
+            for (const action of rule.actions) {
+                if (action.type === 'add_tags') {
+                    action.tags.forEach(t => tags.add(t));
+                } else if (action.type === 'require_advance_payment') {
+                    tags.add(ADVANCE_PAYMENT_TAG);
+                } else if (!actions.some(a => a.type === action.type)) {
+                    actions.push({ ...action, rule: rule.name });
+                }
+            }
+        }
+        if (tags.size > 0) actions.unshift({ type: 'add_tags', tags: [...tags] });
+        const cancel = actions.find(a => a.type === 'cancel_order');
+        const planned = cancel ? actions.filter(a => a.type !== 'hold_fulfillment') : actions;
+
+        const executed = [];
+        for (const action of planned) {
+            const entry = { ...action, dryRun: ruleSet.dryRun, ok: true, error: null };
+
+            if (ruleSet.dryRun) {
+                console.log(`[FSBD] [dry-run] Order #${order.order_number}: would ${describeAction(action)}`);
+            } else {
+                try {
+                    await this.execute(order, action);
+                    console.log(`[FSBD] Order #${order.order_number}: ${describeAction(action)}`);
+                } catch (err) {
+                    entry.ok = false;
+                    entry.error = err.message;
+                    console.error(`[FSBD] Rule action ${action.type} failed for order #${order.order_number}:`, err.message);
+                }
+            }
+
+            executed.push(entry);
+        }
+
+        await this.log(order, matched, executed);
+        return executed;
+    }
+
+    /**
+     * Perform a single action against Shopify
+     */
+    async execute(order, action) {
+        switch (action.type) {
+            case 'add_tags':
+                return this.shopify.addOrderTags(order.id, action.tags);
+            case 'hold_fulfillment':
+                return this.shopify.holdFulfillment(order.id, action.note || 'FraudShieldBD: high-risk COD order');
+            case 'cancel_order':
+                await this.shopify.cancelOrder(order.id, {
+                    restock: action.restock,
+                    notifyCustomer: action.notifyCustomer,
+                });
+                // Keeps the app's own cancellation out of the outcome report
+                return markCancelledByApp(this.shopify.shop, order.id);
+            default:
+                throw new Error(`Unknown action: ${action.type}`);
+        }
+    }
+
+    /**
+     * Append to the shop's rule log (most recent first, capped)
+     */
+    async log(order, matched, executed) {
+        const shop = this.shopify.shop;
+        const entries = (await this.storage.get(LOG_COLLECTION, shop)) || [];
+
+        entries.unshift({
+            orderId: order.id,
+            orderNumber: order.order_number,
+            rules: matched.map(r => r.name),
+            actions: executed,
+            at: new Date().toISOString(),
+        });
+
+        await this.storage.set(LOG_COLLECTION, shop, entries.slice(0, LOG_LIMIT));
+    }
+
+    /**
+     * Recent rule log entries for a shop
+     */
+    static async getLog(shop, storage = getStorage()) {
+        return (await storage.get(LOG_COLLECTION, shop)) || [];
+    }
+}
+
+/**
+ * Human-readable action description for logs
+ */
+function describeAction(action) {
+    switch (action.type) {
+        case 'add_tags': return `add tags ${action.tags.join(', ')}`;
+        case 'hold_fulfillment': return 'put fulfillment on hold';
+        case 'cancel_order': return `cancel order${action.restock ? ' and restock' : ''}`;
+        default: return action.type;
+    }
+}
+
+module.exports = {
+    RuleEngine,
+    validateRules,
+    validateConditions,
+    cleanConditions,
+    matchCondition,
+    evaluateRules,
+    buildContext,
+    ADVANCE_PAYMENT_TAG,
+};
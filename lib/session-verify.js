@@ -0,0 +1,155 @@
+/**
+ * FraudShieldBD — Session Verification
+ *
+ * Verifies Shopify App Bridge session tokens on admin API requests
+ * and the query-string HMAC Shopify adds when loading the admin page.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+// Allowed clock skew between Shopify and this server (seconds)
+const CLOCK_LEEWAY = 10;
+
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i;
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Check if a string is a valid *.myshopify.com domain
+ */
+function isValidShopDomain(shop) {
+    return typeof shop === 'string' && SHOP_DOMAIN.test(shop);
+}
+
+/**
+ * Verify the HMAC Shopify signs query strings with (OAuth callback, app load)
+ * @param {object} query - Parsed query string (req.query)
+ * @returns {boolean}
+ */
+function isValidQueryHmac(query) {
+    const { hmac, ...params } = query;
+    if (!hmac) return false;
+
+    const message = Object.keys(params)
+        .sort()
+        .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+        .join('&');
+
+    const generatedHmac = crypto
+        .createHmac('sha256', config.shopify.apiSecret)
+        .update(message)
+        .digest('hex');
+
+    return safeEqual(generatedHmac, hmac);
+}
+
+/**
+ * Decode and verify a session token (HS256 JWT signed with the app secret)
+ * @param {string} token
+ * @returns {{ shop: string, claims: object }}
+ * @throws {Error} If the token is malformed, forged, expired or for another app
+ */
+function decodeSessionToken(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new Error('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+    const expected = crypto
+        .createHmac('sha256', config.shopify.apiSecret)
+        .update(`${encodedHeader}.${encodedPayload}`)
+        .digest('base64url');
+
+    if (!safeEqual(expected, signature)) {
+        throw new Error('Invalid signature');
+    }
+
+    let header, claims;
+    try {
+        header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+        throw new Error('Malformed token');
+    }
+
+    if (header.alg !== 'HS256') {
+        throw new Error('Unsupported algorithm');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!claims.exp || claims.exp + CLOCK_LEEWAY < now) {
+        throw new Error('Token expired');
+    }
+    if (claims.nbf && claims.nbf - CLOCK_LEEWAY > now) {
+        throw new Error('Token not yet valid');
+    }
+    if (claims.aud !== config.shopify.apiKey) {
+        throw new Error('Token audience mismatch');
+    }
+
+    let shop, issuerHost;
+    try {
+        shop = new URL(claims.dest).hostname;
+        issuerHost = new URL(claims.iss).hostname;
+    } catch {
+        throw new Error('Invalid token destination');
+    }
+
+    if (!isValidShopDomain(shop) || issuerHost !== shop) {
+        throw new Error('Invalid token destination');
+    }
+
+    return { shop, claims };
+}
+
+/**
+ * Express middleware: require a valid session token (Authorization: Bearer)
+ * and expose the verified shop as req.shop
+ */
+function verifySessionToken(req, res, next) {
+    const authHeader = req.get('Authorization') || '';
+    const match = authHeader.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return res.status(401).json({ success: false, message: 'Missing session token.' });
+    }
+
+    try {
+        const { shop, claims } = decodeSessionToken(match[1]);
+        req.shop = shop;
+        req.sessionToken = claims;
+    } catch (err) {
+        console.warn(`[FSBD] Session token rejected: ${err.message}`);
+        return res.status(401).json({ success: false, message: 'Invalid session token.' });
+    }
+
+    next();
+}
+
+/**
+ * Express middleware: require a valid Shopify HMAC on the admin page load
+ */
+function verifyAdminRequest(req, res, next) {
+    if (!isValidShopDomain(req.query.shop) || !isValidQueryHmac(req.query)) {
+        console.warn('[FSBD] Admin page HMAC verification failed');
+        return res.status(401).send('Please open FraudShieldBD from your Shopify admin.');
+    }
+
+    next();
+}
+
+module.exports = {
+    isValidShopDomain,
+    isValidQueryHmac,
+    decodeSessionToken,
+    verifySessionToken,
+    verifyAdminRequest,
+};
@@ -0,0 +1,165 @@
+/**
+ * FraudShieldBD — Shop Settings
+ *
+ * Resolves per-shop settings (stored values over config.js defaults)
+ * and validates updates coming from the admin panel.
+ */
+
+const config = require('../config');
+const ShopStore = require('./shop-store');
+const { DEFAULT_WEIGHTS, validateWeights, checkCalibration } = require('./risk-score');
+const { validateCourierSettings } = require('./courier-risk');
+const { validateCacheSettings } = require('./result-cache');
+const { validateQuotaSettings } = require('./quota');
+
+const shopStore = new ShopStore();
+
+const BOOLEAN_FIELDS = ['autoCheck', 'codOnly', 'autoTag', 'addNotes', 'autoReport', 'quotaPauseNonCod'];
+const THRESHOLD_FIELDS = ['thresholdHigh', 'thresholdMedium'];
+
+/**
+ * Default settings from environment (config.js)
+ */
+function defaultSettings() {
+    return {
+        apiKey: config.fraudshield.apiKey,
+        autoCheck: config.behavior.autoCheckEnabled,
+        codOnly: config.behavior.checkCodOnly,
+        autoTag: config.behavior.autoTagOrders,
+        addNotes: config.behavior.addOrderNotes,
+        autoReport: config.behavior.autoReport,
+        autoReportTags: [...config.behavior.autoReportTags],
+        thresholdHigh: config.risk.thresholdHigh,
+        thresholdMedium: config.risk.thresholdMedium,
+        scoreWeights: { ...DEFAULT_WEIGHTS },
+        preferredCourier: config.risk.preferredCourier,
+        courierThresholds: {},
+        cacheTtl: config.cache.ttl,
+        cacheStaleTtl: config.cache.staleTtl,
+        quotaReserve: config.quota.reserve,
+        quotaPauseNonCod: config.quota.pauseNonCod,
+        quotaMinOrderTotal: config.quota.minOrderTotal,
+    };
+}
+
+/**
+ * Get effective settings for a shop
+ * @param {string|null} shop
+ * @returns {Promise<object>}
+ */
+async function resolveSettings(shop) {
+    const defaults = defaultSettings();
+    if (!shop) return defaults;
+
+    const stored = await shopStore.getSettings(shop);
+    const settings = { ...defaults, ...stored };
+
+    // An empty stored key falls back to the app-wide key
+    if (!settings.apiKey) settings.apiKey = defaults.apiKey;
+
+    return settings;
+}
+
+/**
+ * Validate a partial settings update against the current settings
+ * @param {object} input - Partial settings from the request body
+ * @param {object} current - Current effective settings
+ * @returns {{ errors: string[], changes: object }}
+ */
+function validateSettings(input, current) {
+    const errors = [];
+    const changes = {};
+
+    for (const field of BOOLEAN_FIELDS) {
+        if (input[field] === undefined) continue;
+        if (typeof input[field] !== 'boolean') {
+            errors.push(`${field} must be true or false`);
+        } else {
+            changes[field] = input[field];
+        }
+    }
+
+    for (const field of THRESHOLD_FIELDS) {
+        if (input[field] === undefined) continue;
+        const value = Number(input[field]);
+        if (input[field] === '' || !Number.isInteger(value) || value < 0 || value > 100) {
+            errors.push(`${field} must be a whole number between 0 and 100`);
+        } else {
+            changes[field] = value;
+        }
+    }
+
+    if (input.scoreWeights !== undefined) {
+        const { errors: weightErrors, weights } = validateWeights(input.scoreWeights, current.scoreWeights);
+        if (weightErrors.length > 0) {
+            errors.push(...weightErrors);
+        } else {
+            changes.scoreWeights = weights;
+        }
+    }
+
+    const courier = validateCourierSettings(input);
+    errors.push(...courier.errors);
+    Object.assign(changes, courier.changes);
+
+    const cache = validateCacheSettings(input, current);
+    errors.push(...cache.errors);
+    Object.assign(changes, cache.changes);
+
+    const quota = validateQuotaSettings(input);
+    errors.push(...quota.errors);
+    Object.assign(changes, quota.changes);
+
+    if (input.autoReportTags !== undefined) {
+        const tags = Array.isArray(input.autoReportTags)
+            ? input.autoReportTags
+            : String(input.autoReportTags ?? '').split(',');
+        const cleaned = [...new Set(tags.map(t => String(t ?? '').trim().toLowerCase()).filter(Boolean))];
+        if (cleaned.length === 0 || cleaned.length > 10 || cleaned.some(t => t.length > 40 || t.includes(','))) {
+            errors.push('autoReportTags must be 1–10 tags (up to 40 characters each)');
+        } else {
+            changes.autoReportTags = cleaned;
+        }
+    }
+
+    if (input.apiKey !== undefined) {
+        if (typeof input.apiKey !== 'string') {
+            errors.push('apiKey must be a string');
+        } else {
+            changes.apiKey = input.apiKey.trim();
+        }
+    }
+
+    const merged = { ...current, ...changes };
+    if (merged.thresholdHigh >= merged.thresholdMedium) {
+        errors.push('thresholdHigh must be lower than thresholdMedium');
+    } else if (changes.scoreWeights || changes.thresholdHigh !== undefined || changes.thresholdMedium !== undefined) {
+        errors.push(...checkCalibration(merged.scoreWeights || DEFAULT_WEIGHTS, merged));
+    }
+
+    return { errors, changes };
+}
+
+/**
+ * Merge validated changes into a shop's stored settings
+ */
+async function updateSettings(shop, changes) {
+    const stored = await shopStore.getSettings(shop);
+    await shopStore.saveSettings(shop, { ...stored, ...changes });
+}
+
+/**
+ * Mask an API key, keeping only its prefix and last 4 characters
+ */
+function maskApiKey(apiKey) {
+    if (!apiKey) return '';
+    return `${apiKey.slice(0, 3)}${'*'.repeat(8)}${apiKey.slice(-4)}`;
+}
+
+module.exports = {
+    defaultSettings,
+    resolveSettings,
+    validateSettings,
+    updateSettings,
+    maskApiKey,
+};
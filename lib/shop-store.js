@@ -0,0 +1,179 @@
+/**
+ * FraudShieldBD — Shop Store
+ *
+ * Per-shop persistence: access tokens (encrypted at rest),
+ * OAuth nonces with expiry, per-shop configuration
+ * (the FraudShieldBD API key is encrypted too) and automation rules.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { getStorage } = require('./storage');
+
+// OAuth nonce lifetime: 10 minutes
+const NONCE_TTL = 10 * 60 * 1000;
+
+/**
+ * Derive a 32-byte AES key from the configured secret
+ * @throws {Error} Without a secret — sha256('') would leave tokens readable by anyone
+ */
+function encryptionKey() {
+    if (!config.storage.encryptionKey) {
+        throw new Error('STORAGE_ENCRYPTION_KEY (or SHOPIFY_API_SECRET) is not set');
+    }
+    return crypto.createHash('sha256').update(config.storage.encryptionKey).digest();
+}
+
+/**
+ * Encrypt a string with AES-256-GCM → "iv:tag:ciphertext" (base64)
+ */
+function encrypt(plainText) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return [iv, tag, encrypted].map(b => b.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ */
+function decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(p => Buffer.from(p, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+class ShopStore {
+    /**
+     * @param {import('./storage').MemoryStore} [storage]
+     */
+    constructor(storage = getStorage()) {
+        this.storage = storage;
+    }
+
+    // ── Access Tokens ─────────────────────────────
+
+    /**
+     * Save (encrypted) access token for a shop
+     */
+    async saveAccessToken(shop, accessToken) {
+        await this.storage.set('tokens', shop, {
+            token: encrypt(accessToken),
+            installedAt: new Date().toISOString(),
+        });
+    }
+
+    /**
+     * Get decrypted access token for a shop
+     * @returns {Promise<string|null>}
+     */
+    async getAccessToken(shop) {
+        const entry = await this.storage.get('tokens', shop);
+        if (!entry) return null;
+
+        try {
+            return decrypt(entry.token);
+        } catch (err) {
+            console.error(`[FSBD] Failed to decrypt access token for ${shop}:`, err.message);
+            return null;
+        }
+    }
+
+    /**
+     * List all shops with a stored access token
+     * @returns {Promise<string[]>}
+     */
+    async listShops() {
+        const entries = await this.storage.list('tokens');
+        return entries.map(e => e.key);
+    }
+
+    // ── OAuth Nonces ──────────────────────────────
+
+    /**
+     * Save OAuth nonce for a shop
+     */
+    async saveNonce(shop, nonce, ttl = NONCE_TTL) {
+        await this.storage.set('nonces', shop, {
+            nonce,
+            expiresAt: Date.now() + ttl,
+        });
+    }
+
+    /**
+     * Verify and delete the nonce for a shop (single use)
+     * @returns {Promise<boolean>}
+     */
+    async consumeNonce(shop, nonce) {
+        const entry = await this.storage.get('nonces', shop);
+        if (!entry) return false;
+
+        await this.storage.delete('nonces', shop);
+
+        return entry.nonce === nonce && entry.expiresAt > Date.now();
+    }
+
+    // ── Shop Settings ─────────────────────────────
+
+    /**
+     * Get stored settings for a shop (API key decrypted)
+     * @returns {Promise<object>}
+     */
+    async getSettings(shop) {
+        const settings = { ...(await this.storage.get('settings', shop)) };
+
+        if (settings.apiKey) {
+            try {
+                settings.apiKey = decrypt(settings.apiKey);
+            } catch (err) {
+                console.error(`[FSBD] Failed to decrypt API key for ${shop}:`, err.message);
+                delete settings.apiKey;
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Save settings for a shop (API key encrypted)
+     */
+    async saveSettings(shop, settings) {
+        const stored = { ...settings };
+        if (stored.apiKey) stored.apiKey = encrypt(stored.apiKey);
+
+        await this.storage.set('settings', shop, stored);
+    }
+
+    // ── Automation Rules ──────────────────────────
+
+    /**
+     * Get the rule set for a shop (see lib/rule-engine.js)
+     * @returns {Promise<{dryRun: boolean, rules: object[]}>}
+     */
+    async getRules(shop) {
+        return (await this.storage.get('rules', shop)) || { dryRun: true, rules: [] };
+    }
+
+    /**
+     * Save the rule set for a shop
+     */
+    async saveRules(shop, ruleSet) {
+        await this.storage.set('rules', shop, ruleSet);
+    }
+
+    /**
+     * Delete everything stored for a shop
+     */
+    async deleteShop(shop) {
+        await Promise.all([
+            this.storage.delete('tokens', shop),
+            this.storage.delete('nonces', shop),
+            this.storage.delete('settings', shop),
+            this.storage.delete('rules', shop),
+        ]);
+    }
+}
+
+module.exports = ShopStore;
@@ -1,10 +1,106 @@
 /**
  * Shopify API Helper
  *
- * Handles authenticated API calls to Shopify Admin REST API
+ * Handles authenticated API calls to the Shopify Admin REST and GraphQL
+ * APIs. Order writes (metafields, tags, notes) go through GraphQL: all
+ * metafields in one metafieldsSet call and atomic tagsAdd.
+ *
+ * Failed calls throw ShopifyError (lib/shopify-errors.js). REST calls are
+ * paced per shop against the call-limit leaky bucket; 429, 5xx and
+ * network errors are retried.
  */
 
 const fetch = require('node-fetch');
+const config = require('../config');
+const { ShopifyError, ShopifyNotFoundError, shopifyErrorFor } = require('./shopify-errors');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retries for 429, 5xx and network errors
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
+
+// REST leaky bucket: 40 calls, leaking 2 per second (standard plans).
+// A few calls are left free so concurrent handlers never hit a 429.
+const REST_BUCKET_SIZE = 40;
+const REST_LEAK_RATE = 2;
+const REST_HEADROOM = 4;
+
+// REST bucket state per shop, shared by every client instance
+const restBuckets = new Map();
+
+// GraphQL cost budget per shop, from the last response's throttleStatus
+const graphqlThrottle = new Map();
+
+// Points kept available before sending a request (a mutation costs ~10)
+const GRAPHQL_MIN_AVAILABLE = 50;
+const GRAPHQL_MAX_RETRIES = 3;
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_PER_CALL = 25;
+
+/**
+ * Per-shop REST call pacing. Requests take turns (promise chain) so
+ * concurrent webhook handlers for one shop share the same budget.
+ */
+class RestBucket {
+    constructor() {
+        this.used = 0;
+        this.size = REST_BUCKET_SIZE;
+        this.at = Date.now();
+        this.pausedUntil = 0;
+        this.turn = Promise.resolve();
+    }
+
+    /**
+     * Calls currently in the bucket, after leaking since the last update
+     */
+    level() {
+        const leaked = ((Date.now() - this.at) / 1000) * REST_LEAK_RATE;
+        return Math.max(0, this.used - leaked);
+    }
+
+    /**
+     * Wait for room for one call, then count it
+     */
+    acquire() {
+        const turn = this.turn.then(async () => {
+            const paused = this.pausedUntil - Date.now();
+            if (paused > 0) await sleep(paused);
+
+            const excess = this.level() + 1 - (this.size - REST_HEADROOM);
+            if (excess > 0) await sleep((excess / REST_LEAK_RATE) * 1000);
+
+            this.used = this.level() + 1;
+            this.at = Date.now();
+        });
+        this.turn = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Sync with X-Shopify-Shop-Api-Call-Limit (e.g. "32/40")
+     */
+    update(callLimit) {
+        const [used, size] = String(callLimit || '').split('/').map(Number);
+        if (!size) return;
+        this.used = used;
+        this.size = size;
+        this.at = Date.now();
+    }
+
+    /**
+     * Hold every request for the shop (429 Retry-After)
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+}
+
+function restBucketFor(shop) {
+    if (!restBuckets.has(shop)) restBuckets.set(shop, new RestBucket());
+    return restBuckets.get(shop);
+}
 
 class ShopifyClient {
     /**
@@ -14,52 +110,171 @@ class ShopifyClient {
     constructor(shop, accessToken) {
         this.shop = shop;
         this.accessToken = accessToken;
-        this.apiVersion = '2024-01';
+        this.apiVersion = config.shopify.apiVersion;
         this.baseUrl = `https://${shop}/admin/api/${this.apiVersion}`;
     }
 
+    /**
+     * Send a request to the Admin API.
+     * Paces REST calls per shop and retries 429 (honouring Retry-After),
+     * 5xx and network errors.
+     * @param {string} method
+     * @param {string} endpoint - e.g. "/orders.json"
+     * @param {object} [data] - JSON body
+     * @returns {Promise<{body: object, headers: object}>}
+     * @throws {ShopifyError} When the request fails (after retries)
+     */
+    async request(method, endpoint, data = null) {
+        const bucket = restBucketFor(this.shop);
+        const rest = endpoint !== '/graphql.json';
+
+        for (let attempt = 0; ; attempt++) {
+            if (rest) await bucket.acquire();
+
+            let res;
+            try {
+                res = await fetch(`${this.baseUrl}${endpoint}`, {
+                    method,
+                    headers: {
+                        'X-Shopify-Access-Token': this.accessToken,
+                        'Content-Type': 'application/json',
+                    },
+                    ...(data ? { body: JSON.stringify(data) } : {}),
+                });
+            } catch (err) {
+                if (attempt < MAX_RETRIES) {
+                    await sleep(RETRY_BASE_DELAY * Math.pow(2, attempt));
+                    continue;
+                }
+                throw new ShopifyError(`Shopify connection error on ${endpoint}: ${err.message}`, {
+                    endpoint,
+                    retryable: true,
+                });
+            }
+
+            if (rest) bucket.update(res.headers.get('x-shopify-shop-api-call-limit'));
+
+            const body = await res.json().catch(() => null);
+
+            if (res.ok) {
+                return { body: body || {}, headers: res.headers };
+            }
+
+            const retryAfter = parseFloat(res.headers.get('retry-after')) || null;
+
+            if (res.status === 429 && attempt < MAX_RETRIES) {
+                const wait = (retryAfter || 2) * 1000;
+                console.warn(`[FSBD] Shopify rate limit for ${this.shop}, retrying in ${wait}ms`);
+                if (rest) bucket.pause(wait);
+                else await sleep(wait);
+                continue;
+            }
+
+            if (res.status >= 500 && attempt < MAX_RETRIES) {
+                await sleep(RETRY_BASE_DELAY * Math.pow(2, attempt));
+                continue;
+            }
+
+            throw shopifyErrorFor(res.status, endpoint, body, retryAfter);
+        }
+    }
+
     /**
      * GET request to Shopify Admin API
      */
     async get(endpoint) {
-        const res = await fetch(`${this.baseUrl}${endpoint}`, {
-            method: 'GET',
-            headers: {
-                'X-Shopify-Access-Token': this.accessToken,
-                'Content-Type': 'application/json',
-            },
-        });
-        return res.json();
+        const { body } = await this.request('GET', endpoint);
+        return body;
     }
 
     /**
      * POST request
      */
     async post(endpoint, data) {
-        const res = await fetch(`${this.baseUrl}${endpoint}`, {
-            method: 'POST',
-            headers: {
-                'X-Shopify-Access-Token': this.accessToken,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(data),
-        });
-        return res.json();
+        const { body } = await this.request('POST', endpoint, data);
+        return body;
     }
 
     /**
      * PUT request
      */
     async put(endpoint, data) {
-        const res = await fetch(`${this.baseUrl}${endpoint}`, {
-            method: 'PUT',
-            headers: {
-                'X-Shopify-Access-Token': this.accessToken,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(data),
-        });
-        return res.json();
+        const { body } = await this.request('PUT', endpoint, data);
+        return body;
+    }
+
+    /**
+     * DELETE request
+     */
+    async delete(endpoint) {
+        const { body } = await this.request('DELETE', endpoint);
+        return body;
+    }
+
+    // ── GraphQL ───────────────────────────────────
+
+    /**
+     * Run a GraphQL Admin API query or mutation.
+     * Waits when the shop's cost budget is low and retries THROTTLED responses.
+     * @param {string} query
+     * @param {object} [variables]
+     * @returns {Promise<object>} The `data` object
+     * @throws {ShopifyError} On GraphQL errors
+     */
+    async graphql(query, variables = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForGraphqlBudget();
+
+            const { body } = await this.request('POST', '/graphql.json', { query, variables });
+
+            const throttleStatus = body.extensions?.cost?.throttleStatus;
+            if (throttleStatus) {
+                graphqlThrottle.set(this.shop, { ...throttleStatus, at: Date.now() });
+            }
+
+            const errors = body.errors || [];
+            const throttled = errors.some(e => e.extensions?.code === 'THROTTLED');
+            if (throttled && attempt < GRAPHQL_MAX_RETRIES) {
+                console.warn(`[FSBD] Shopify GraphQL throttled for ${this.shop}, retrying`);
+                continue;
+            }
+
+            if (errors.length > 0 || !body.data) {
+                const message = errors.map(e => e.message).join('; ') || 'no data returned';
+                throw new ShopifyError(`Shopify GraphQL error: ${message}`, {
+                    status: 200,
+                    endpoint: '/graphql.json',
+                    retryable: throttled,
+                });
+            }
+
+            return body.data;
+        }
+    }
+
+    /**
+     * Sleep until the shop's GraphQL bucket has refilled enough
+     */
+    async waitForGraphqlBudget() {
+        const status = graphqlThrottle.get(this.shop);
+        if (!status || !status.restoreRate) return;
+
+        const elapsed = (Date.now() - status.at) / 1000;
+        const available = Math.min(
+            status.maximumAvailable,
+            status.currentlyAvailable + elapsed * status.restoreRate
+        );
+
+        if (available < GRAPHQL_MIN_AVAILABLE) {
+            await sleep(((GRAPHQL_MIN_AVAILABLE - available) / status.restoreRate) * 1000);
+        }
+    }
+
+    /**
+     * GraphQL global ID for an order
+     */
+    orderGid(orderId) {
+        return `gid://shopify/Order/${orderId}`;
     }
 
     // ── Order Helpers ─────────────────────────────
@@ -68,8 +283,13 @@ class ShopifyClient {
      * Get a single order by ID
      */
     async getOrder(orderId) {
-        const data = await this.get(`/orders/${orderId}.json`);
-        return data.order;
+        try {
+            const data = await this.get(`/orders/${orderId}.json`);
+            return data.order || null;
+        } catch (err) {
+            if (err instanceof ShopifyNotFoundError) return null;
+            throw err;
+        }
     }
 
     /**
@@ -86,48 +306,134 @@ class ShopifyClient {
     }
 
     /**
-     * Add tags to an order (appends to existing tags)
+     * Get one page of orders using cursor pagination (Link header)
+     * @param {object} params - Filters for the first page (ignored when pageInfo is set)
+     * @param {string|null} pageInfo - Cursor from a previous page
+     * @returns {Promise<{orders: object[], nextPageInfo: string|null, callLimit: string|null}>}
+     */
+    async getOrdersPage(params = {}, pageInfo = null) {
+        const qs = new URLSearchParams(
+            pageInfo
+                ? { limit: '50', page_info: pageInfo }
+                : { limit: '50', status: 'any', ...params }
+        ).toString();
+
+        const { body: data, headers } = await this.request('GET', `/orders.json?${qs}`);
+
+        // Link: <https://...&page_info=abc>; rel="next", <...>; rel="previous"
+        const link = headers.get('link') || '';
+        const next = link.split(',').find(part => part.includes('rel="next"'));
+        const nextUrl = next && next.match(/<([^>]+)>/);
+
+        return {
+            orders: data.orders || [],
+            nextPageInfo: nextUrl ? new URL(nextUrl[1]).searchParams.get('page_info') : null,
+            callLimit: headers.get('x-shopify-shop-api-call-limit'),
+        };
+    }
+
+    /**
+     * Add tags to an order (atomic — existing tags are kept)
      */
     async addOrderTags(orderId, newTags = []) {
-        const order = await this.getOrder(orderId);
-        if (!order) return null;
+        const data = await this.graphql(`
+            mutation addTags($id: ID!, $tags: [String!]!) {
+                tagsAdd(id: $id, tags: $tags) {
+                    userErrors { field message }
+                }
+            }
+        `, { id: this.orderGid(orderId), tags: newTags });
 
-        const existing = order.tags ? order.tags.split(',').map(t => t.trim()) : [];
-        const merged = [...new Set([...existing, ...newTags])];
+        throwOnUserErrors(data.tagsAdd.userErrors);
+        return data.tagsAdd;
+    }
 
-        return this.put(`/orders/${orderId}.json`, {
-            order: { id: orderId, tags: merged.join(', ') },
-        });
+    /**
+     * Remove tags from an order (other tags are kept)
+     */
+    async removeOrderTags(orderId, tags = []) {
+        const data = await this.graphql(`
+            mutation removeTags($id: ID!, $tags: [String!]!) {
+                tagsRemove(id: $id, tags: $tags) {
+                    userErrors { field message }
+                }
+            }
+        `, { id: this.orderGid(orderId), tags });
+
+        throwOnUserErrors(data.tagsRemove.userErrors);
+        return data.tagsRemove;
     }
 
     /**
-     * Add a note attribute to an order
+     * Append to an order's note
      */
     async addOrderNote(orderId, noteContent) {
-        const order = await this.getOrder(orderId);
-        if (!order) return null;
+        const id = this.orderGid(orderId);
+        const data = await this.graphql(`
+            query orderNote($id: ID!) {
+                order(id: $id) { note }
+            }
+        `, { id });
+        if (!data.order) return null;
 
-        const existingNote = order.note || '';
+        const existingNote = data.order.note || '';
         const newNote = existingNote
             ? `${existingNote}\n\n${noteContent}`
             : noteContent;
 
-        return this.put(`/orders/${orderId}.json`, {
-            order: { id: orderId, note: newNote },
-        });
+        const result = await this.graphql(`
+            mutation updateNote($input: OrderInput!) {
+                orderUpdate(input: $input) {
+                    userErrors { field message }
+                }
+            }
+        `, { input: { id, note: newNote } });
+
+        throwOnUserErrors(result.orderUpdate.userErrors);
+        return result.orderUpdate;
     }
 
     /**
-     * Set order metafield
+     * Set order metafields (FraudShieldBD namespace) with metafieldsSet
+     * @param {string|number} orderId
+     * @param {object} fields - { key: value } or { key: { value, type } };
+     *   objects are stored as json, other values as single_line_text_field
      */
-    async setOrderMetafield(orderId, key, value, type = 'single_line_text_field') {
-        return this.post(`/orders/${orderId}/metafields.json`, {
-            metafield: {
+    async setOrderMetafields(orderId, fields) {
+        const ownerId = this.orderGid(orderId);
+        const metafields = Object.entries(fields).map(([key, field]) => {
+            const { value, type } = field !== null && typeof field === 'object' && 'type' in field
+                ? field
+                : { value: field, type: null };
+
+            return {
+                ownerId,
                 namespace: 'fraudshieldbd',
                 key,
                 value: typeof value === 'object' ? JSON.stringify(value) : String(value),
-                type: typeof value === 'object' ? 'json' : type,
-            },
+                type: type || (typeof value === 'object' ? 'json' : 'single_line_text_field'),
+            };
+        });
+
+        for (let i = 0; i < metafields.length; i += METAFIELDS_PER_CALL) {
+            const data = await this.graphql(`
+                mutation setMetafields($metafields: [MetafieldsSetInput!]!) {
+                    metafieldsSet(metafields: $metafields) {
+                        userErrors { field message }
+                    }
+                }
+            `, { metafields: metafields.slice(i, i + METAFIELDS_PER_CALL) });
+
+            throwOnUserErrors(data.metafieldsSet.userErrors);
+        }
+    }
+
+    /**
+     * Set a single order metafield
+     */
+    async setOrderMetafield(orderId, key, value, type = 'single_line_text_field') {
+        return this.setOrderMetafields(orderId, {
+            [key]: { value, type: typeof value === 'object' ? 'json' : type },
         });
     }
 
@@ -150,6 +456,39 @@ class ShopifyClient {
         return result;
     }
 
+    /**
+     * Get fulfillment orders for an order
+     */
+    async getFulfillmentOrders(orderId) {
+        const data = await this.get(`/orders/${orderId}/fulfillment_orders.json`);
+        return data.fulfillment_orders || [];
+    }
+
+    /**
+     * Put every open fulfillment order of an order on hold
+     */
+    async holdFulfillment(orderId, reasonNotes = '') {
+        const fulfillmentOrders = await this.getFulfillmentOrders(orderId);
+        const open = fulfillmentOrders.filter(fo => fo.status === 'open');
+
+        return Promise.all(open.map(fo =>
+            this.post(`/fulfillment_orders/${fo.id}/hold.json`, {
+                fulfillment_hold: { reason: 'high_risk_of_fraud', reason_notes: reasonNotes },
+            })
+        ));
+    }
+
+    /**
+     * Cancel an order
+     */
+    async cancelOrder(orderId, { restock = true, notifyCustomer = false } = {}) {
+        return this.post(`/orders/${orderId}/cancel.json`, {
+            reason: 'fraud',
+            restock,
+            email: notifyCustomer,
+        });
+    }
+
     // ── Webhook Helpers ───────────────────────────
 
     /**
@@ -172,6 +511,34 @@ class ShopifyClient {
         const data = await this.get('/webhooks.json');
         return data.webhooks || [];
     }
+
+    /**
+     * Point a webhook at a new address
+     */
+    async updateWebhook(webhookId, callbackUrl) {
+        return this.put(`/webhooks/${webhookId}.json`, {
+            webhook: { id: webhookId, address: callbackUrl },
+        });
+    }
+
+    /**
+     * Delete a webhook
+     */
+    async deleteWebhook(webhookId) {
+        return this.delete(`/webhooks/${webhookId}.json`);
+    }
+}
+
+/**
+ * Throw the first userError returned by a GraphQL mutation
+ */
+function throwOnUserErrors(userErrors = []) {
+    if (userErrors.length > 0) {
+        throw new ShopifyError(`Shopify: ${userErrors.map(e => e.message).join('; ')}`, {
+            status: 200,
+            endpoint: '/graphql.json',
+        });
+    }
 }
 
 module.exports = ShopifyClient;
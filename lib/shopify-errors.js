@@ -0,0 +1,90 @@
+/**
+ * FraudShieldBD — Shopify API Errors
+ *
+ * Errors thrown by ShopifyClient for failed Admin API calls. `retryable`
+ * follows the job queue convention: false dead-letters a job at once.
+ */
+
+class ShopifyError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {number} [details.status] - HTTP status (0 for network errors)
+     * @param {string} [details.endpoint]
+     * @param {boolean} [details.retryable]
+     */
+    constructor(message, { status = 0, endpoint = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'ShopifyError';
+        this.status = status;
+        this.endpoint = endpoint;
+        this.retryable = retryable;
+    }
+}
+
+/** 401 / 403 — token revoked or missing scope */
+class ShopifyAuthError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'ShopifyAuthError';
+    }
+}
+
+/** 404 — order (or other resource) does not exist */
+class ShopifyNotFoundError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'ShopifyNotFoundError';
+    }
+}
+
+/** 429 — still rate limited after retrying */
+class ShopifyRateLimitError extends ShopifyError {
+    /**
+     * @param {number} [details.retryAfter] - Seconds Shopify asked us to wait
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'ShopifyRateLimitError';
+        this.retryAfter = details.retryAfter || null;
+    }
+}
+
+/**
+ * Build the error for a failed response
+ * @param {number} status
+ * @param {string} endpoint
+ * @param {object|null} body - Parsed response body, if any
+ * @param {number|null} retryAfter
+ * @returns {ShopifyError}
+ */
+function shopifyErrorFor(status, endpoint, body, retryAfter = null) {
+    const detail = formatErrors(body && body.errors);
+    const message = `Shopify ${status} on ${endpoint}${detail ? `: ${detail}` : ''}`;
+    const details = { status, endpoint };
+
+    if (status === 401 || status === 403) return new ShopifyAuthError(message, details);
+    if (status === 404) return new ShopifyNotFoundError(message, details);
+    if (status === 429) return new ShopifyRateLimitError(message, { ...details, retryAfter });
+    return new ShopifyError(message, { ...details, retryable: status >= 500 });
+}
+
+/**
+ * Shopify returns errors as a string, an array or { field: [messages] }
+ */
+function formatErrors(errors) {
+    if (!errors) return '';
+    if (typeof errors === 'string') return errors;
+    if (Array.isArray(errors)) return errors.map(e => e.message || e).join('; ');
+    return Object.entries(errors)
+        .map(([field, messages]) => `${field} ${[].concat(messages).join(', ')}`)
+        .join('; ');
+}
+
+module.exports = {
+    ShopifyError,
+    ShopifyAuthError,
+    ShopifyNotFoundError,
+    ShopifyRateLimitError,
+    shopifyErrorFor,
+};
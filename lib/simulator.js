@@ -0,0 +1,182 @@
+/**
+ * FraudShieldBD — Threshold Simulator
+ *
+ * Replays a shop's stored check results (lib/order-results.js) against
+ * candidate thresholds and score weights, re-scoring each order with
+ * lib/risk-score.js, without calling the FraudShieldBD API. Shows how
+ * many orders would move between risk levels and, for orders with a
+ * known delivery outcome, how many returns the new settings would have
+ * caught and how many delivered orders they would have flagged.
+ *
+ * "Flagged" means high risk, or — when rule conditions are given —
+ * matching all of them (evaluated with the simulated risk level).
+ */
+
+const { computeRiskScore, levelForScore } = require('./risk-score');
+const { matchCondition } = require('./rule-engine');
+const { getStorage } = require('./storage');
+const { rangeEnd } = require('./order-results');
+
+const LEVELS = ['safe', 'medium', 'high', 'unknown'];
+
+// Changed orders listed in the response
+const SAMPLE_LIMIT = 50;
+
+/**
+ * Score inputs from a stored order result. Results saved before scoring
+ * have no success count or report dates; both are approximated.
+ */
+function recordInputs(record) {
+    const total = record.totalParcel || 0;
+    return {
+        totalParcel: total,
+        successParcel: record.successParcel ?? Math.round((total * (record.successRatio || 0)) / 100),
+        cancelledParcel: record.cancelledParcel || 0,
+        reportCount: record.reportCount || 0,
+        reportDates: record.reportDates || [],
+    };
+}
+
+/**
+ * Rule context from a stored order result (see RuleEngine buildContext)
+ */
+function recordContext(record, riskLevel, riskScore) {
+    return {
+        riskLevel,
+        riskScore,
+        successRatio: record.successRatio,
+        totalParcel: record.totalParcel,
+        cancelledParcel: record.cancelledParcel,
+        reportCount: record.reportCount,
+        orderTotal: parseFloat(record.totalPrice || 0),
+        isCod: record.isCod,
+        couriers: record.couriers || {},
+        preferredCourierRisk: record.courierRisk?.preferred?.riskLevel ?? null,
+        worstCourierRatio: record.courierRisk?.worst?.successRatio ?? null,
+    };
+}
+
+function isFlagged(record, riskLevel, riskScore, conditions) {
+    if (conditions.length === 0) return riskLevel === 'high';
+    const context = recordContext(record, riskLevel, riskScore);
+    return conditions.every(c => matchCondition(c, context));
+}
+
+/**
+ * Returns caught / missed and delivered orders flagged / passed
+ */
+function emptyOutcomeStats() {
+    return { returnsCaught: 0, returnsMissed: 0, goodFlagged: 0, goodPassed: 0 };
+}
+
+function addOutcome(stats, outcome, flagged) {
+    if (outcome === 'returned') stats[flagged ? 'returnsCaught' : 'returnsMissed']++;
+    if (outcome === 'delivered') stats[flagged ? 'goodFlagged' : 'goodPassed']++;
+}
+
+function withRates(stats) {
+    const returns = stats.returnsCaught + stats.returnsMissed;
+    const good = stats.goodFlagged + stats.goodPassed;
+    const rate = (n, total) => (total > 0 ? Math.round((n / total) * 1000) / 10 : null);
+    return {
+        ...stats,
+        catchRate: rate(stats.returnsCaught, returns),
+        falseFlagRate: rate(stats.goodFlagged, good),
+    };
+}
+
+/**
+ * Simulate candidate thresholds (and optional rule conditions) over past checks
+ * @param {string} shop
+ * @param {object} current - Shop's current settings ({ thresholdHigh, thresholdMedium, scoreWeights })
+ * @param {object} candidate
+ * @param {number} candidate.thresholdHigh
+ * @param {number} candidate.thresholdMedium
+ * @param {object} candidate.scoreWeights
+ * @param {object[]} [candidate.conditions] - Validated rule conditions
+ * @param {string} [candidate.from] - Orders created on/after (ISO date)
+ * @param {string} [candidate.to] - Orders created on/before (ISO date; a date-only value includes that day)
+ * @returns {Promise<object>}
+ */
+async function simulateThresholds(shop, current, candidate) {
+    const conditions = candidate.conditions || [];
+
+    const from = candidate.from ? new Date(candidate.from).getTime() : null;
+    const to = rangeEnd(candidate.to);
+    const createdTime = r => new Date(r.orderCreatedAt || r.checkedAt).getTime();
+
+    // Errors have nothing to replay; list results were forced, not classified
+    const records = (await getStorage().list('order_results'))
+        .map(e => e.value)
+        .filter(r => r.shop === shop && r.riskLevel !== 'error' && !r.listed)
+        .filter(r => (!from || createdTime(r) >= from) && (!to || createdTime(r) <= to));
+
+    const moves = {};
+    const totals = { current: {}, simulated: {} };
+    for (const level of LEVELS) {
+        moves[level] = Object.fromEntries(LEVELS.map(l => [l, 0]));
+        totals.current[level] = 0;
+        totals.simulated[level] = 0;
+    }
+
+    const outcomes = { current: emptyOutcomeStats(), simulated: emptyOutcomeStats() };
+    const changed = [];
+
+    for (const record of records) {
+        const before = record.riskLevel;
+        const scored = computeRiskScore(recordInputs(record), candidate.scoreWeights, record.checkedAt);
+        const score = scored ? scored.score : null;
+        const after = levelForScore(score, candidate);
+
+        moves[before][after]++;
+        totals.current[before]++;
+        totals.simulated[after]++;
+
+        const flaggedBefore = isFlagged(record, before, record.riskScore ?? null, conditions);
+        const flaggedAfter = isFlagged(record, after, score, conditions);
+        addOutcome(outcomes.current, record.outcome, flaggedBefore);
+        addOutcome(outcomes.simulated, record.outcome, flaggedAfter);
+
+        if (before !== after || flaggedBefore !== flaggedAfter) {
+            changed.push({
+                orderId: record.orderId,
+                orderName: record.orderName,
+                successRatio: record.successRatio,
+                scoreBefore: record.riskScore ?? null,
+                scoreAfter: score,
+                from: before,
+                to: after,
+                flagged: flaggedAfter,
+                outcome: record.outcome || null,
+                orderCreatedAt: record.orderCreatedAt,
+            });
+        }
+    }
+
+    changed.sort((a, b) => new Date(b.orderCreatedAt) - new Date(a.orderCreatedAt));
+
+    return {
+        orders: records.length,
+        current: {
+            thresholdHigh: current.thresholdHigh,
+            thresholdMedium: current.thresholdMedium,
+            scoreWeights: current.scoreWeights,
+        },
+        candidate: {
+            thresholdHigh: candidate.thresholdHigh,
+            thresholdMedium: candidate.thresholdMedium,
+            scoreWeights: candidate.scoreWeights,
+        },
+        conditions,
+        moves,
+        totals,
+        changedCount: changed.length,
+        changed: changed.slice(0, SAMPLE_LIMIT),
+        outcomes: {
+            current: withRates(outcomes.current),
+            simulated: withRates(outcomes.simulated),
+        },
+    };
+}
+
+module.exports = { simulateThresholds };
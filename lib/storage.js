@@ -0,0 +1,233 @@
+/**
+ * FraudShieldBD — Storage
+ *
+ * Pluggable key-value storage, grouped into named collections
+ * (e.g. "tokens", "nonces", "settings"). Every backend exposes the same
+ * async interface so a database-backed store can replace the default
+ * file store without touching the callers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * In-memory backend — also the base implementation for FileStore
+ */
+class MemoryStore {
+    constructor() {
+        this.data = {};
+    }
+
+    /**
+     * Get a value from a collection
+     * @param {string} collection
+     * @param {string} key
+     * @returns {Promise<*>} Stored value or null
+     */
+    async get(collection, key) {
+        const bucket = this.data[collection];
+        if (!bucket || !Object.prototype.hasOwnProperty.call(bucket, key)) return null;
+        return bucket[key];
+    }
+
+    /**
+     * Set a value in a collection
+     */
+    async set(collection, key, value) {
+        if (!this.data[collection]) this.data[collection] = {};
+        this.data[collection][key] = value;
+        await this.persist(collection);
+    }
+
+    /**
+     * Delete a value from a collection
+     */
+    async delete(collection, key) {
+        const bucket = this.data[collection];
+        if (!bucket || !Object.prototype.hasOwnProperty.call(bucket, key)) return;
+        delete bucket[key];
+        await this.persist(collection);
+    }
+
+    /**
+     * Delete several values from a collection (one write)
+     * @param {string} collection
+     * @param {string[]} keys
+     * @returns {Promise<number>} Values deleted
+     */
+    async deleteMany(collection, keys) {
+        const bucket = this.data[collection];
+        if (!bucket) return 0;
+
+        let deleted = 0;
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(bucket, key)) continue;
+            delete bucket[key];
+            deleted++;
+        }
+        if (deleted > 0) await this.persist(collection);
+        return deleted;
+    }
+
+    /**
+     * List all entries in a collection
+     * @returns {Promise<Array<{key: string, value: *}>>}
+     */
+    async list(collection) {
+        const bucket = this.data[collection] || {};
+        return Object.entries(bucket).map(([key, value]) => ({ key, value }));
+    }
+
+    /**
+     * Remove every entry in a collection
+     */
+    async clear(collection) {
+        if (!this.data[collection]) return;
+        delete this.data[collection];
+        await this.persist(collection);
+    }
+
+    /**
+     * Hook for backends that write to durable storage
+     * @param {string} collection - The collection that changed
+     */
+    async persist(collection) {}
+}
+
+/**
+ * JSON file backend — one file per collection under a directory, loaded
+ * at startup. Changes are written asynchronously in batches: every
+ * collection changed since the last write is rewritten once (temp file +
+ * rename), and set / delete resolve after the batch holding their change
+ * is on disk. A busy collection (queue jobs) no longer rewrites the
+ * others (shops, settings) on every change.
+ */
+class FileStore extends MemoryStore {
+    /**
+     * @param {string} dir - Data directory (one <collection>.json per collection)
+     * @param {object} [options]
+     * @param {string} [options.legacyFile] - Single-file store of earlier versions, split into the directory once
+     */
+    constructor(dir, { legacyFile } = {}) {
+        super();
+        this.dir = path.resolve(dir);
+        this.dirty = new Set();
+        this.scheduled = null;
+        this.writing = Promise.resolve();
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.load();
+        if (legacyFile) this.migrate(path.resolve(legacyFile));
+    }
+
+    filePath(collection) {
+        return path.join(this.dir, `${collection.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    }
+
+    load() {
+        for (const name of fs.readdirSync(this.dir)) {
+            if (!name.endsWith('.json')) continue;
+            const file = path.join(this.dir, name);
+            try {
+                const { collection, entries } = JSON.parse(fs.readFileSync(file, 'utf8'));
+                this.data[collection] = entries;
+            } catch (err) {
+                console.error(`[FSBD] Failed to read storage file ${file}:`, err.message);
+            }
+        }
+    }
+
+    /**
+     * Move the collections of the old single JSON file into the directory
+     */
+    migrate(legacyFile) {
+        let legacy;
+        try {
+            legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`[FSBD] Failed to read storage file ${legacyFile}:`, err.message);
+            }
+            return;
+        }
+
+        for (const [collection, entries] of Object.entries(legacy)) {
+            if (this.data[collection]) continue;
+            this.data[collection] = entries;
+            this.writeCollectionSync(collection);
+        }
+        fs.renameSync(legacyFile, `${legacyFile}.migrated`);
+        console.log(`[FSBD] Storage moved from ${legacyFile} to ${this.dir}`);
+    }
+
+    writeCollectionSync(collection) {
+        const file = this.filePath(collection);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify({ collection, entries: this.data[collection] }));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    async writeCollection(collection) {
+        const file = this.filePath(collection);
+        if (!this.data[collection]) {
+            await fs.promises.unlink(file).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+            });
+            return;
+        }
+
+        const tmpPath = `${file}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ collection, entries: this.data[collection] }));
+        await fs.promises.rename(tmpPath, file);
+    }
+
+    /**
+     * Queue a collection for the next batch write
+     * @returns {Promise<void>} Resolves once the batch is written
+     */
+    persist(collection) {
+        this.dirty.add(collection);
+
+        if (!this.scheduled) {
+            // Wait for the running write, then let this tick's other changes join the batch
+            this.scheduled = this.writing
+                .then(() => new Promise(resolve => setImmediate(resolve)))
+                .then(() => {
+                    this.scheduled = null;
+                    return this.flush();
+                });
+            this.writing = this.scheduled.catch(() => {});
+        }
+        return this.scheduled;
+    }
+
+    async flush() {
+        const collections = [...this.dirty];
+        this.dirty.clear();
+
+        const results = await Promise.allSettled(collections.map(c => this.writeCollection(c)));
+        const failed = collections.filter((c, i) => results[i].status === 'rejected');
+        if (failed.length > 0) {
+            // Written again with the next batch
+            failed.forEach(c => this.dirty.add(c));
+            throw results.find(r => r.status === 'rejected').reason;
+        }
+    }
+}
+
+let instance = null;
+
+/**
+ * Get the shared storage backend configured in config.js
+ * @returns {MemoryStore}
+ */
+function getStorage() {
+    if (!instance) {
+        instance = config.storage.driver === 'memory'
+            ? new MemoryStore()
+            : new FileStore(config.storage.dir, { legacyFile: config.storage.filePath });
+    }
+    return instance;
+}
+
+module.exports = { MemoryStore, FileStore, getStorage };
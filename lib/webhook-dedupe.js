@@ -0,0 +1,79 @@
+/**
+ * FraudShieldBD — Webhook Deduplication
+ *
+ * Shopify may deliver the same webhook more than once. Each delivery
+ * carries an X-Shopify-Webhook-Id; ids that were already handled
+ * successfully are acknowledged without being processed again.
+ */
+
+const { getStorage } = require('./storage');
+
+const COLLECTION = 'webhook_ids';
+
+// Shopify retries failed deliveries for up to 48 hours
+const WEBHOOK_ID_TTL = 48 * 60 * 60 * 1000;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Ids currently being handled by this process
+const inFlight = new Set();
+let lastPrune = 0;
+
+/**
+ * Delete webhook ids older than the TTL
+ */
+async function pruneWebhookIds(storage) {
+    const cutoff = Date.now() - WEBHOOK_ID_TTL;
+    const expired = (await storage.list(COLLECTION))
+        .filter(({ value }) => value.receivedAt < cutoff)
+        .map(({ key }) => key);
+    await storage.deleteMany(COLLECTION, expired);
+}
+
+/**
+ * Express middleware: acknowledge duplicate webhook deliveries.
+ * Must run after verifyWebhook. The id is recorded only when the
+ * handler responds with 2xx, so failed deliveries can still be retried.
+ */
+async function dedupeWebhook(req, res, next) {
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+    if (!webhookId) return next();
+
+    const storage = getStorage();
+
+    try {
+        if (inFlight.has(webhookId) || await storage.get(COLLECTION, webhookId)) {
+            console.log(`[FSBD] Duplicate webhook ${webhookId} ignored`);
+            return res.status(200).json({ received: true, duplicate: true });
+        }
+    } catch (err) {
+        console.error('[FSBD] Webhook dedupe lookup failed:', err.message);
+        return next();
+    }
+
+    inFlight.add(webhookId);
+
+    res.on('finish', async () => {
+        try {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                await storage.set(COLLECTION, webhookId, {
+                    topic: req.get('X-Shopify-Topic') || null,
+                    shop: req.get('X-Shopify-Shop-Domain') || null,
+                    receivedAt: Date.now(),
+                });
+            }
+
+            if (Date.now() - lastPrune > PRUNE_INTERVAL) {
+                lastPrune = Date.now();
+                await pruneWebhookIds(storage);
+            }
+        } catch (err) {
+            console.error(`[FSBD] Failed to record webhook ${webhookId}:`, err.message);
+        } finally {
+            inFlight.delete(webhookId);
+        }
+    });
+
+    next();
+}
+
+module.exports = { dedupeWebhook };
@@ -0,0 +1,116 @@
+/**
+ * FraudShieldBD — Webhook Subscriptions
+ *
+ * Keeps each shop's webhook subscriptions in line with what the app
+ * handles: missing topics are created, subscriptions pointing at an old
+ * HOST are updated, and stale ones (unknown topics, duplicates) are
+ * deleted. Runs at install, on server start and from the admin panel.
+ *
+ * GDPR webhooks are configured in the Partner Dashboard, not here.
+ */
+
+const config = require('../config');
+const ShopStore = require('./shop-store');
+const ShopifyClient = require('./shopify-client');
+
+// Topic → path under /webhooks
+const WEBHOOK_TOPICS = {
+    'orders/create': 'orders-create',
+    'orders/updated': 'orders-updated',
+    'orders/cancelled': 'orders-cancelled',
+    'fulfillments/create': 'fulfillments-create',
+    'fulfillments/update': 'fulfillments-update',
+    'app/uninstalled': 'app-uninstalled',
+};
+
+const shopStore = new ShopStore();
+
+/**
+ * Callback URL for a topic on the current HOST
+ */
+function webhookAddress(topic) {
+    return `${config.shopify.host}/webhooks/${WEBHOOK_TOPICS[topic]}`;
+}
+
+/**
+ * Create, update and delete subscriptions so each topic has exactly one
+ * pointing at the current HOST
+ * @param {ShopifyClient} shopify
+ * @returns {Promise<{created: string[], updated: string[], deleted: string[], unchanged: string[]}>}
+ */
+async function reconcileWebhooks(shopify) {
+    const summary = { created: [], updated: [], deleted: [], unchanged: [] };
+    const existing = await shopify.listWebhooks();
+
+    for (const topic of Object.keys(WEBHOOK_TOPICS)) {
+        const address = webhookAddress(topic);
+        const matching = existing.filter(w => w.topic === topic);
+
+        if (matching.length === 0) {
+            await shopify.registerWebhook(topic, address);
+            summary.created.push(topic);
+            continue;
+        }
+
+        // Keep the one already on the right address, if any
+        const keep = matching.find(w => w.address === address) || matching[0];
+
+        if (keep.address === address) {
+            summary.unchanged.push(topic);
+        } else {
+            await shopify.updateWebhook(keep.id, address);
+            summary.updated.push(topic);
+        }
+
+        for (const duplicate of matching.filter(w => w !== keep)) {
+            await shopify.deleteWebhook(duplicate.id);
+            summary.deleted.push(topic);
+        }
+    }
+
+    for (const stale of existing.filter(w => !WEBHOOK_TOPICS[w.topic])) {
+        await shopify.deleteWebhook(stale.id);
+        summary.deleted.push(stale.topic);
+    }
+
+    const changes = summary.created.length + summary.updated.length + summary.deleted.length;
+    if (changes > 0) {
+        console.log(
+            `[FSBD] 📡 Webhooks reconciled for ${shopify.shop}: ` +
+            `${summary.created.length} created, ${summary.updated.length} updated, ${summary.deleted.length} deleted`
+        );
+    }
+
+    return summary;
+}
+
+/**
+ * Reconcile webhooks for one installed shop
+ * @returns {Promise<object|null>} Summary, or null if the shop has no token
+ */
+async function reconcileShopWebhooks(shop) {
+    const accessToken = await shopStore.getAccessToken(shop);
+    if (!accessToken) return null;
+    return reconcileWebhooks(new ShopifyClient(shop, accessToken));
+}
+
+/**
+ * Reconcile webhooks for every installed shop (server start).
+ * One shop failing does not stop the others.
+ */
+async function reconcileAllShops() {
+    for (const shop of await shopStore.listShops()) {
+        try {
+            await reconcileShopWebhooks(shop);
+        } catch (err) {
+            console.error(`[FSBD] Webhook reconciliation failed for ${shop}:`, err.message);
+        }
+    }
+}
+
+module.exports = {
+    WEBHOOK_TOPICS,
+    reconcileWebhooks,
+    reconcileShopWebhooks,
+    reconcileAllShops,
+};
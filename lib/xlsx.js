@@ -0,0 +1,167 @@
+/**
+ * FraudShieldBD — XLSX
+ *
+ * Minimal single-sheet .xlsx writer for result downloads: an Office Open
+ * XML workbook with inline strings, packed in a ZIP written here (no
+ * dependency). Numbers are stored as numbers, everything else as text —
+ * so phone numbers keep their leading 0 and no cell runs as a formula.
+ */
+
+const zlib = require('zlib');
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_DECL = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// ── ZIP ───────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive (deflate, UTF-8 names)
+ * @param {Array<{name: string, data: Buffer|string}>} files
+ * @returns {Buffer}
+ */
+function zip(files) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+        local.writeUInt16LE(8, 8);             // deflate
+        local.writeUInt32LE(0, 10);            // time / date
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, name, compressed);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014B50, 0);
+        entry.writeUInt16LE(20, 4);            // version made by
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x0800, 8);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(0, 12);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(compressed.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(name.length, 28);
+        entry.writeUInt32LE(offset, 42);       // local header offset (extra, comment, disk, attributes stay 0)
+        central.push(entry, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...central, end]);
+}
+
+// ── Sheet ─────────────────────────────────────
+
+function escapeXml(text) {
+    return String(text)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a zero-based index (0 → A, 26 → AA)
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function cellXml(value, ref) {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Build an .xlsx workbook with one sheet
+ * @param {Array<Array<*>>} rows - First row is usually the header
+ * @param {object} [options]
+ * @param {string} [options.sheetName]
+ * @returns {Buffer}
+ */
+function toXlsx(rows, { sheetName = 'Sheet1' } = {}) {
+    const sheetRows = rows.map((row, r) => {
+        const cells = row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`)).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    return zip([
+        {
+            name: '[Content_Types].xml',
+            data: `${XML_DECL}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            data: `${XML_DECL}<Relationships xmlns="${NS_PKG_REL}">` +
+                `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `${XML_DECL}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+                `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>',
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `${XML_DECL}<Relationships xmlns="${NS_PKG_REL}">` +
+                `<Relationship Id="rId1" Type="${NS_REL}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                '</Relationships>',
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            data: `${XML_DECL}<worksheet xmlns="${NS_MAIN}"><sheetData>${sheetRows}</sheetData></worksheet>`,
+        },
+    ]);
+}
+
+module.exports = { toXlsx };
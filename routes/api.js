@@ -1,77 +1,619 @@
 /**
  * FraudShieldBD — Admin API Routes
  *
- * Handles admin panel AJAX requests: manual check, test connection, order data
+ * Handles admin panel AJAX requests: manual check, test connection, order data.
+ * Every route requires an App Bridge session token; the shop is taken
+ * from the verified token, never from the request body or query string.
  */
 
 const express = require('express');
+const config = require('../config');
 const FraudShieldAPI = require('../lib/fraudshield-api');
 const ShopifyClient = require('../lib/shopify-client');
+const { ShopifyError, ShopifyAuthError } = require('../lib/shopify-errors');
 const OrderChecker = require('../lib/order-checker');
+const { resolveSettings, validateSettings, updateSettings, maskApiKey } = require('../lib/settings');
+const ShopStore = require('../lib/shop-store');
+const { RuleEngine, validateRules, validateConditions, cleanConditions } = require('../lib/rule-engine');
+const { verifySessionToken } = require('../lib/session-verify');
+const { orderQueue, recheckOrder, withOrderLock, listPendingOrders, listPausedOrders } = require('../lib/order-queue');
+const { apiBreaker } = require('../lib/circuit-breaker');
+const { startBackfill, cancelBackfill, getBackfill } = require('../lib/backfill');
+const { RISK_LEVELS, listOrderResults, outcomeReport, rangeEnd } = require('../lib/order-results');
+const { simulateThresholds } = require('../lib/simulator');
+const { listDataExports, getDataExport } = require('../lib/privacy');
+const { reconcileShopWebhooks } = require('../lib/webhook-subscriptions');
+const { recordPhoneCheck, getPhoneHistory } = require('../lib/phone-history');
+const phoneLists = require('../lib/phone-lists');
+const { readSheet, resultsCsv, resultsXlsx, summarizeResults, startBulkCheck, getBulkCheck } = require('../lib/bulk-check');
+const { getUsage, isQuotaLow, getQuotaAlert, dismissQuotaAlert } = require('../lib/quota');
 const { getAccessToken } = require('./auth');
 
 const router = express.Router();
+const shopStore = new ShopStore();
+
+/**
+ * Send a failed request as JSON: Shopify auth errors (token revoked,
+ * missing scope) as 401, other Shopify failures as 502, the rest as 500
+ */
+function sendError(res, err) {
+    if (res.headersSent) return;
+    const status = err instanceof ShopifyAuthError ? 401 : err instanceof ShopifyError ? 502 : 500;
+    if (status === 500) console.error('[FSBD] API error:', err.message);
+    res.status(status).json({ success: false, message: err.message });
+}
+
+/**
+ * Wrap an async handler so a rejection becomes a JSON error instead of
+ * an unhandled rejection (Express 4 does not catch them)
+ */
+function asyncRoute(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(err => sendError(res, err));
+}
+
+// Admin UI extensions call the API cross-origin from Shopify's CDN
+const EXTENSION_ORIGIN = 'https://extensions.shopifycdn.com';
+
+router.use((req, res, next) => {
+    if (req.get('Origin') === EXTENSION_ORIGIN) {
+        res.set({
+            'Access-Control-Allow-Origin': EXTENSION_ORIGIN,
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+            'Vary': 'Origin',
+        });
+    }
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    next();
+});
+
+router.use(verifySessionToken);
+
+/**
+ * GET /api/service-status
+ * FraudShieldBD circuit breaker state and the shop's orders waiting for the service
+ */
+router.get('/service-status', asyncRoute(async (req, res) => {
+    try {
+        const pending = await listPendingOrders(req.shop);
+        res.json({
+            success: true,
+            breaker: apiBreaker.status(),
+            pendingOrders: pending.length,
+            pending: pending.slice(0, 20).map(p => ({ orderId: p.orderId, orderName: p.orderName, since: p.since })),
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
 
 /**
  * POST /api/test-connection
  * Test FraudShieldBD API connection
  */
-router.post('/test-connection', async (req, res) => {
+router.post('/test-connection', asyncRoute(async (req, res) => {
     const { apiKey } = req.body;
-    const api = new FraudShieldAPI(apiKey);
+    const settings = await resolveSettings(req.shop);
+    const api = new FraudShieldAPI(apiKey, settings);
     const result = await api.testConnection();
     res.json(result);
-});
+}));
 
 /**
  * POST /api/check-phone
  * Manual phone check (from admin panel)
  */
-router.post('/check-phone', async (req, res) => {
+router.post('/check-phone', asyncRoute(async (req, res) => {
     const { phone } = req.body;
     if (!phone) {
         return res.status(400).json({ success: false, message: 'ফোন নম্বর দিন।' });
     }
 
-    const api = new FraudShieldAPI();
-    const result = await api.checkPhone(phone);
+    const settings = await resolveSettings(req.shop);
+    const api = new FraudShieldAPI(null, settings);
+    const result = await phoneLists.checkPhoneWithLists(req.shop, api, phone);
+
+    if (result.success && !result.fromList) {
+        try {
+            await recordPhoneCheck(req.shop, api.sanitizePhone(phone), null, result);
+        } catch (err) {
+            console.error('[FSBD] Failed to record phone history:', err.message);
+        }
+    }
+
     res.json(result);
-});
+}));
+
+/**
+ * POST /api/check-phones
+ * Queue a bulk phone check. Invalid numbers and API failures are flagged per row.
+ * Body: { phones: ["017…", …] } or { csv, column? } (column: zero-based, detected if omitted)
+ * Returns 202 with the run id — poll GET /api/check-phones/:id.
+ */
+router.post('/check-phones', asyncRoute(async (req, res) => {
+    const { phones, csv, column } = req.body || {};
+
+    if (!Array.isArray(phones) && typeof csv !== 'string') {
+        return res.status(400).json({ success: false, message: 'phones (array) বা csv দিন।' });
+    }
+    if (column !== undefined && (!Number.isInteger(column) || column < 0)) {
+        return res.status(400).json({ success: false, message: 'column must be a zero-based column number' });
+    }
+
+    const settings = await resolveSettings(req.shop);
+    const api = new FraudShieldAPI(null, settings);
+
+    const sheet = Array.isArray(phones)
+        ? { header: ['Phone'], rows: phones.map(p => [String(p ?? '')]), column: 0 }
+        : readSheet(csv, api, { column });
+
+    if (sheet.rows.length === 0) {
+        return res.status(400).json({ success: false, message: 'কোনো ফোন নম্বর পাওয়া যায়নি।' });
+    }
+    if (sheet.rows.length > config.bulk.maxRows) {
+        return res.status(400).json({
+            success: false,
+            message: `একবারে সর্বোচ্চ ${config.bulk.maxRows} টি নম্বর চেক করা যায়।`,
+        });
+    }
+
+    try {
+        const run = await startBulkCheck(req.shop, sheet);
+        res.status(202).json({ success: true, id: run.id, status: run.status, total: run.total, column: run.column });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
+
+/**
+ * GET /api/check-phones/:id
+ * Progress of a bulk check; results and summary so far
+ */
+router.get('/check-phones/:id', asyncRoute(async (req, res) => {
+    const run = await getBulkCheck(req.shop, req.params.id);
+    if (!run) return res.status(404).json({ success: false, message: 'Bulk check not found' });
+
+    res.json({
+        success: true,
+        id: run.id,
+        status: run.status,
+        total: run.total,
+        done: run.done,
+        column: run.column,
+        header: run.header,
+        summary: summarizeResults(run.results),
+        results: run.results,
+        lastError: run.lastError,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+    });
+}));
+
+/**
+ * GET /api/check-phones/:id/download?format=csv|xlsx
+ * The uploaded sheet with result columns added
+ */
+router.get('/check-phones/:id/download', asyncRoute(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({ success: false, message: 'format must be csv or xlsx' });
+    }
+
+    const run = await getBulkCheck(req.shop, req.params.id);
+    if (!run) return res.status(404).json({ success: false, message: 'Bulk check not found' });
+    if (run.status !== 'completed') {
+        return res.status(409).json({ success: false, message: 'চেক এখনো শেষ হয়নি।' });
+    }
+
+    const date = run.startedAt.slice(0, 10);
+    if (format === 'xlsx') {
+        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.set('Content-Disposition', `attachment; filename="fraudshield-check-${date}.xlsx"`);
+        return res.send(resultsXlsx(run.header, run.rows, run.results));
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="fraudshield-check-${date}.csv"`);
+    res.send(resultsCsv(run.header, run.rows, run.results, run.column));
+}));
+
+/**
+ * GET /api/phone-history/:phone
+ * Every check for a customer's phone, their orders and the ratio trend
+ */
+router.get('/phone-history/:phone', asyncRoute(async (req, res) => {
+    const phone = new FraudShieldAPI().sanitizePhone(req.params.phone);
+    if (!phone) {
+        return res.status(400).json({ success: false, message: 'ভ্যালিড বাংলাদেশি ফোন নম্বর দিন (01XXXXXXXXX)' });
+    }
+
+    const history = await getPhoneHistory(req.shop, phone);
+    res.json({
+        success: true,
+        ...history,
+        orders: history.orders.map(o => ({
+            ...o,
+            adminUrl: `https://${req.shop}/admin/orders/${o.orderId}`,
+        })),
+    });
+}));
+
+/**
+ * GET /api/phone-lists
+ * The shop's blocklist and allowlist
+ */
+router.get('/phone-lists', asyncRoute(async (req, res) => {
+    const lists = await phoneLists.getPhoneLists(req.shop);
+    res.json({ success: true, ...lists });
+}));
+
+/**
+ * POST /api/phone-lists/:list
+ * Add phones to the blocklist or allowlist
+ * Body: { phone, note } or { phones: [{ phone, note }] }
+ */
+router.post('/phone-lists/:list', asyncRoute(async (req, res) => {
+    const { list } = req.params;
+    if (!phoneLists.LISTS.includes(list)) {
+        return res.status(404).json({ success: false, message: 'Unknown list.' });
+    }
+
+    const entries = Array.isArray(req.body.phones)
+        ? req.body.phones
+        : [{ phone: req.body.phone, note: req.body.note }];
+
+    const { added, invalid } = await phoneLists.addPhones(req.shop, list, entries);
+    if (added.length === 0) {
+        return res.status(400).json({ success: false, message: 'ভ্যালিড বাংলাদেশি ফোন নম্বর দিন (01XXXXXXXXX)', invalid });
+    }
+
+    res.json({ success: true, added, invalid });
+}));
+
+/**
+ * POST /api/phone-lists/:list/import
+ * Import phones from CSV (phone, note)
+ * Body: { csv }
+ */
+router.post('/phone-lists/:list/import', asyncRoute(async (req, res) => {
+    const { list } = req.params;
+    if (!phoneLists.LISTS.includes(list)) {
+        return res.status(404).json({ success: false, message: 'Unknown list.' });
+    }
+
+    const entries = phoneLists.parsePhoneCsv(req.body.csv);
+    if (entries.length === 0) {
+        return res.status(400).json({ success: false, message: 'CSV-তে কোনো ফোন নম্বর পাওয়া যায়নি।' });
+    }
+
+    const { added, invalid } = await phoneLists.addPhones(req.shop, list, entries);
+    res.json({ success: true, added, invalid });
+}));
+
+/**
+ * DELETE /api/phone-lists/:list/:phone
+ * Remove a phone from a list
+ */
+router.delete('/phone-lists/:list/:phone', asyncRoute(async (req, res) => {
+    const { list, phone } = req.params;
+    if (!phoneLists.LISTS.includes(list)) {
+        return res.status(404).json({ success: false, message: 'Unknown list.' });
+    }
+
+    const removed = await phoneLists.removePhone(req.shop, list, phone);
+    if (!removed) {
+        return res.status(404).json({ success: false, message: 'Phone not on list.' });
+    }
+
+    res.json({ success: true });
+}));
+
+/**
+ * GET /api/settings
+ * Get effective settings for the shop (API key masked)
+ */
+router.get('/settings', asyncRoute(async (req, res) => {
+    const shop = req.shop;
+
+    const accessToken = await getAccessToken(shop);
+    if (!accessToken) {
+        return res.status(401).json({ success: false, message: 'Shop not authenticated.' });
+    }
+
+    const settings = await resolveSettings(shop);
+    res.json({
+        success: true,
+        settings: { ...settings, apiKey: maskApiKey(settings.apiKey) },
+        apiKeySet: Boolean(settings.apiKey),
+    });
+}));
+
+/**
+ * PUT /api/settings
+ * Update settings for the shop (partial update, validated)
+ */
+router.put('/settings', asyncRoute(async (req, res) => {
+    const shop = req.shop;
+
+    const accessToken = await getAccessToken(shop);
+    if (!accessToken) {
+        return res.status(401).json({ success: false, message: 'Shop not authenticated.' });
+    }
+
+    const current = await resolveSettings(shop);
+    const { errors, changes } = validateSettings(req.body || {}, current);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    try {
+        await updateSettings(shop, changes);
+    } catch (err) {
+        return sendError(res, err);
+    }
+
+    const settings = await resolveSettings(shop);
+    res.json({
+        success: true,
+        settings: { ...settings, apiKey: maskApiKey(settings.apiKey) },
+        apiKeySet: Boolean(settings.apiKey),
+    });
+}));
+
+/**
+ * GET /api/rules
+ * Automation rules for the shop
+ */
+router.get('/rules', asyncRoute(async (req, res) => {
+    const ruleSet = await shopStore.getRules(req.shop);
+    res.json({ success: true, ...ruleSet });
+}));
+
+/**
+ * PUT /api/rules
+ * Replace the shop's automation rules
+ * Body: { dryRun, rules: [{ name, enabled, conditions: [{ field, op, value, courier? }], actions: [{ type, ... }] }] }
+ */
+router.put('/rules', asyncRoute(async (req, res) => {
+    const { errors, ruleSet } = validateRules(req.body || {});
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    try {
+        await shopStore.saveRules(req.shop, ruleSet);
+    } catch (err) {
+        return sendError(res, err);
+    }
+
+    res.json({ success: true, ...ruleSet });
+}));
+
+/**
+ * GET /api/rules/log
+ * Recent rule matches and the actions taken (or simulated in dry-run)
+ */
+router.get('/rules/log', asyncRoute(async (req, res) => {
+    const log = await RuleEngine.getLog(req.shop);
+    res.json({ success: true, log });
+}));
 
 /**
  * POST /api/check-order
  * Manual order check (from admin panel)
  */
-router.post('/check-order', async (req, res) => {
-    const { orderId, shop } = req.body;
-    if (!orderId || !shop) {
-        return res.status(400).json({ success: false, message: 'Order ID and shop required.' });
+router.post('/check-order', asyncRoute(async (req, res) => {
+    const { orderId } = req.body;
+    const shop = req.shop;
+    if (!orderId) {
+        return res.status(400).json({ success: false, message: 'Order ID required.' });
     }
 
-    const accessToken = getAccessToken(shop);
+    const accessToken = await getAccessToken(shop);
     if (!accessToken) {
         return res.status(401).json({ success: false, message: 'Shop not authenticated.' });
     }
 
     const shopify = new ShopifyClient(shop, accessToken);
-    const checker = new OrderChecker(shopify);
-    const result = await checker.manualCheck(orderId);
+    const result = await recheckOrder(shop, shopify, orderId);
+
     res.json(result);
-});
+}));
+
+/**
+ * GET /api/orders?riskLevel=&from=&to=&page=&limit=
+ * Checked orders with their latest risk result, newest first
+ */
+router.get('/orders', asyncRoute(async (req, res) => {
+    const { riskLevel, from, to, page, limit } = req.query;
+
+    if (riskLevel && !RISK_LEVELS.includes(riskLevel)) {
+        return res.status(400).json({ success: false, message: `riskLevel must be one of: ${RISK_LEVELS.join(', ')}` });
+    }
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+        return res.status(400).json({ success: false, message: 'Invalid date filter.' });
+    }
+
+    try {
+        const result = await listOrderResults(req.shop, { riskLevel, from, to, page, limit });
+        res.json({
+            success: true,
+            ...result,
+            orders: result.orders.map(o => ({
+                ...o,
+                adminUrl: `https://${req.shop}/admin/orders/${o.orderId}`,
+            })),
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
+
+/**
+ * GET /api/usage
+ * FraudShieldBD quota of the shop's API key: plan, today's limit and
+ * remaining checks, daily history, the low-quota alert and the number of
+ * orders waiting for the quota to reset
+ */
+router.get('/usage', asyncRoute(async (req, res) => {
+    try {
+        const settings = await resolveSettings(req.shop);
+        const usage = await getUsage(settings.apiKey);
+
+        res.json({
+            success: true,
+            ...usage,
+            reserve: settings.quotaReserve,
+            low: isQuotaLow(usage, settings),
+            alert: await getQuotaAlert(req.shop),
+            pausedOrders: (await listPausedOrders(req.shop)).length,
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
+
+/**
+ * DELETE /api/usage/alert
+ * Hide today's low-quota alert
+ */
+router.delete('/usage/alert', asyncRoute(async (req, res) => {
+    try {
+        await dismissQuotaAlert(req.shop);
+        res.json({ success: true });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
+
+/**
+ * GET /api/outcomes/report?from=&to=
+ * Delivered / returned / cancelled counts and return rate per risk level
+ * and per success-ratio band, for tuning the risk thresholds
+ */
+router.get('/outcomes/report', asyncRoute(async (req, res) => {
+    const { from, to } = req.query;
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+        return res.status(400).json({ success: false, message: 'Invalid date filter.' });
+    }
+
+    try {
+        const settings = await resolveSettings(req.shop);
+        res.json({
+            success: true,
+            thresholds: { high: settings.thresholdHigh, medium: settings.thresholdMedium },
+            ...(await outcomeReport(req.shop, { from, to })),
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
+
+/**
+ * POST /api/simulate
+ * Replay past checks against candidate thresholds and score weights (no API calls)
+ * Body: { thresholdHigh, thresholdMedium, scoreWeights?, conditions?: [{ field, op, value, courier? }], from?, to? }
+ */
+router.post('/simulate', asyncRoute(async (req, res) => {
+    const { thresholdHigh, thresholdMedium, scoreWeights, conditions = [], from, to } = req.body || {};
+    const current = await resolveSettings(req.shop);
+
+    const { errors, changes } = validateSettings({
+        thresholdHigh: thresholdHigh ?? current.thresholdHigh,
+        thresholdMedium: thresholdMedium ?? current.thresholdMedium,
+        scoreWeights: scoreWeights ?? {},
+    }, current);
+    if (!Array.isArray(conditions)) {
+        errors.push('conditions must be an array');
+    } else {
+        errors.push(...validateConditions(conditions));
+    }
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+        errors.push('Invalid date filter.');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    try {
+        const result = await simulateThresholds(req.shop, current, {
+            thresholdHigh: changes.thresholdHigh,
+            thresholdMedium: changes.thresholdMedium,
+            scoreWeights: changes.scoreWeights,
+            conditions: cleanConditions(conditions),
+            from,
+            to,
+        });
+        res.json({
+            success: true,
+            ...result,
+            changed: result.changed.map(o => ({
+                ...o,
+                adminUrl: `https://${req.shop}/admin/orders/${o.orderId}`,
+            })),
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
+
+/**
+ * POST /api/report
+ * Report an order's customer to FraudShieldBD
+ * Body: { orderId, reason, evidence }
+ */
+router.post('/report', asyncRoute(async (req, res) => {
+    const { orderId, reason, evidence } = req.body;
+    const shop = req.shop;
+    if (!orderId) {
+        return res.status(400).json({ success: false, message: 'Order ID required.' });
+    }
+    if (!FraudShieldAPI.REPORT_REASONS.includes(reason)) {
+        return res.status(400).json({
+            success: false,
+            message: `reason must be one of: ${FraudShieldAPI.REPORT_REASONS.join(', ')}`,
+        });
+    }
+
+    const accessToken = await getAccessToken(shop);
+    if (!accessToken) {
+        return res.status(401).json({ success: false, message: 'Shop not authenticated.' });
+    }
+
+    const shopify = new ShopifyClient(shop, accessToken);
+
+    try {
+        const order = await shopify.getOrder(orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found.' });
+        }
+
+        const checker = new OrderChecker(shopify);
+        const result = await withOrderLock(shop, order.id, () =>
+            checker.reportOrder(order, { reason, evidence: String(evidence || '').slice(0, 1000) })
+        );
+
+        if (result.error === 'already_reported') {
+            return res.status(409).json(result);
+        }
+
+        res.json(result);
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
 
 /**
  * GET /api/order-status/:orderId
  * Get FraudShieldBD check status for an order
  */
-router.get('/order-status/:orderId', async (req, res) => {
+router.get('/order-status/:orderId', asyncRoute(async (req, res) => {
     const { orderId } = req.params;
-    const { shop } = req.query;
+    const shop = req.shop;
 
-    if (!shop) {
-        return res.status(400).json({ success: false, message: 'Shop parameter required.' });
-    }
-
-    const accessToken = getAccessToken(shop);
+    const accessToken = await getAccessToken(shop);
     if (!accessToken) {
         return res.status(401).json({ success: false, message: 'Shop not authenticated.' });
     }
@@ -81,25 +623,180 @@ router.get('/order-status/:orderId', async (req, res) => {
     try {
         const meta = await shopify.getOrderMetafields(orderId);
         if (!meta.checked) {
-            return res.json({ checked: false });
+            return res.json({ checked: false, customerReport: meta.customer_report || null });
         }
 
+        // checked: yes | error | pending — the error of an earlier attempt is stale once checked
         res.json({
-            checked: true,
+            checked: meta.checked,
             riskLevel: meta.risk_level,
             riskLabel: meta.risk_label,
+            riskScore: meta.risk_score ?? null,
             totalParcel: meta.total_parcel,
             successParcel: meta.success_parcel,
             cancelParcel: meta.cancel_parcel,
             successRatio: meta.success_ratio,
             reportCount: meta.report_count,
             couriers: meta.couriers,
+            courierRisk: meta.courier_risk || null,
+            reports: meta.reports || [],
+            listed: meta.listed && meta.listed !== 'none' ? meta.listed : null,
+            customerReport: meta.customer_report || null,
             checkedAt: meta.checked_at,
-            error: meta.error,
+            error: meta.checked !== 'yes' && meta.error !== 'none' ? meta.error || null : null,
         });
     } catch (err) {
-        res.status(500).json({ success: false, message: err.message });
+        sendError(res, err);
     }
-});
+}));
+
+/**
+ * GET /api/jobs
+ * Queued and failed (dead-letter) background jobs for the shop
+ */
+router.get('/jobs', asyncRoute(async (req, res) => {
+    try {
+        const [queued, failed] = await Promise.all([
+            orderQueue.listJobs(req.shop),
+            orderQueue.listDeadJobs(req.shop),
+        ]);
+
+        res.json({
+            success: true,
+            queued: queued.map(summarizeJob),
+            failed: failed.map(summarizeJob),
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
+
+/**
+ * POST /api/jobs/:jobId/retry
+ * Re-run a failed (dead-letter) job
+ */
+router.post('/jobs/:jobId/retry', asyncRoute(async (req, res) => {
+    try {
+        const job = await orderQueue.retryDeadJob(req.params.jobId, req.shop);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found.' });
+        }
+
+        res.json({ success: true, job: summarizeJob(job) });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
+
+/**
+ * POST /api/backfill
+ * Start checking historical unpaid orders
+ * Body: { from, to } — ISO dates (order created_at range; a date-only `to` includes that day)
+ */
+router.post('/backfill', asyncRoute(async (req, res) => {
+    const { from, to } = req.body;
+    const fromDate = new Date(from);
+    const toDate = new Date(rangeEnd(to));
+
+    if (!from || !to || isNaN(fromDate) || isNaN(toDate)) {
+        return res.status(400).json({ success: false, message: 'Valid from and to dates required.' });
+    }
+    if (fromDate > toDate) {
+        return res.status(400).json({ success: false, message: 'from must be before to.' });
+    }
+
+    const accessToken = await getAccessToken(req.shop);
+    if (!accessToken) {
+        return res.status(401).json({ success: false, message: 'Shop not authenticated.' });
+    }
+
+    try {
+        const run = await startBackfill(req.shop, {
+            from: fromDate.toISOString(),
+            to: toDate.toISOString(),
+        });
+        res.json({ success: true, backfill: run });
+    } catch (err) {
+        res.status(409).json({ success: false, message: err.message });
+    }
+}));
+
+/**
+ * GET /api/backfill
+ * Progress of the latest backfill
+ */
+router.get('/backfill', asyncRoute(async (req, res) => {
+    const run = await getBackfill(req.shop);
+    res.json({ success: true, backfill: run });
+}));
+
+/**
+ * POST /api/backfill/cancel
+ * Stop the running backfill
+ */
+router.post('/backfill/cancel', asyncRoute(async (req, res) => {
+    const run = await cancelBackfill(req.shop);
+    res.json({ success: true, backfill: run });
+}));
+
+/**
+ * POST /api/webhooks/reconcile
+ * Re-sync the shop's webhook subscriptions with the current HOST
+ */
+router.post('/webhooks/reconcile', asyncRoute(async (req, res) => {
+    try {
+        const summary = await reconcileShopWebhooks(req.shop);
+        if (!summary) {
+            return res.status(401).json({ success: false, message: 'Shop not authenticated.' });
+        }
+
+        res.json({ success: true, ...summary });
+    } catch (err) {
+        sendError(res, err);
+    }
+}));
+
+/**
+ * GET /api/data-requests
+ * Customer data exports created from customers/data_request webhooks
+ */
+router.get('/data-requests', asyncRoute(async (req, res) => {
+    const requests = await listDataExports(req.shop);
+    res.json({ success: true, requests });
+}));
+
+/**
+ * GET /api/data-requests/:id
+ * Full export (everything held about the customer) for the merchant to send on
+ */
+router.get('/data-requests/:id', asyncRoute(async (req, res) => {
+    const record = await getDataExport(req.shop, req.params.id);
+    if (!record) {
+        return res.status(404).json({ success: false, message: 'Data request not found.' });
+    }
+
+    res.json({ success: true, export: record });
+}));
+
+/**
+ * Job fields safe to show in the admin panel (no full order payload)
+ */
+function summarizeJob(job) {
+    // Report jobs carry only the order id and number
+    const data = job.data || {};
+    const order = data.order || {};
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        orderId: order.id ?? data.orderId ?? null,
+        orderNumber: order.order_number ?? data.orderNumber ?? null,
+        lastError: job.lastError,
+        runAt: new Date(job.runAt).toISOString(),
+        createdAt: job.createdAt,
+        failedAt: job.failedAt || null,
+    };
+}
 
 module.exports = router;
@@ -8,28 +8,32 @@ const express = require('express');
 const crypto = require('crypto');
 const fetch = require('node-fetch');
 const config = require('../config');
+const ShopStore = require('../lib/shop-store');
+const { isValidShopDomain, isValidQueryHmac } = require('../lib/session-verify');
+const { reconcileWebhooks } = require('../lib/webhook-subscriptions');
 
 const router = express.Router();
-
-// In-memory store (use a database in production)
-const shopTokens = {};
+const shopStore = new ShopStore();
 
 /**
  * GET /auth — Start OAuth flow
  * Merchant clicks "Install" → redirect to Shopify permission screen
  */
-router.get('/auth', (req, res) => {
+router.get('/auth', async (req, res) => {
     const { shop } = req.query;
     if (!shop) {
         return res.status(400).send('Missing shop parameter');
     }
+    if (!isValidShopDomain(shop)) {
+        return res.status(400).send('Invalid shop parameter');
+    }
 
     const nonce = crypto.randomBytes(16).toString('hex');
     const redirectUri = `${config.shopify.host}/auth/callback`;
     const scopes = config.shopify.scopes.join(',');
 
-    // Store nonce (should use session/DB in production)
-    shopTokens[`nonce_${shop}`] = nonce;
+    // Store nonce (expires after 10 minutes)
+    await shopStore.saveNonce(shop, nonce);
 
     const installUrl =
         `https://${shop}/admin/oauth/authorize?` +
@@ -46,25 +50,20 @@ router.get('/auth', (req, res) => {
  * Shopify redirects here after merchant approves
  */
 router.get('/auth/callback', async (req, res) => {
-    const { shop, code, state, hmac } = req.query;
+    const { shop, code, state } = req.query;
+
+    if (!isValidShopDomain(shop)) {
+        return res.status(400).send('Invalid shop parameter');
+    }
 
-    // Verify nonce
-    const savedNonce = shopTokens[`nonce_${shop}`];
-    if (!savedNonce || savedNonce !== state) {
+    // Verify nonce (single use)
+    const validNonce = await shopStore.consumeNonce(shop, state);
+    if (!validNonce) {
         return res.status(403).send('Invalid state parameter');
     }
-    delete shopTokens[`nonce_${shop}`];
 
     // Verify HMAC
-    const queryParams = { ...req.query };
-    delete queryParams.hmac;
-    const message = new URLSearchParams(queryParams).toString();
-    const generatedHmac = crypto
-        .createHmac('sha256', config.shopify.apiSecret)
-        .update(message)
-        .digest('hex');
-
-    if (generatedHmac !== hmac) {
+    if (!isValidQueryHmac(req.query)) {
         return res.status(401).send('HMAC validation failed');
     }
 
@@ -86,22 +85,24 @@ router.get('/auth/callback', async (req, res) => {
             throw new Error('No access token received');
         }
 
-        // Save access token (use database in production!)
-        shopTokens[shop] = tokenData.access_token;
+        // Save access token (encrypted at rest)
+        await shopStore.saveAccessToken(shop, tokenData.access_token);
 
         console.log(`[FSBD] ✅ App installed for shop: ${shop}`);
 
-        // Register webhooks
+        // Create / update / delete webhook subscriptions (safe on reinstall)
         const ShopifyClient = require('../lib/shopify-client');
         const client = new ShopifyClient(shop, tokenData.access_token);
 
-        await client.registerWebhook('orders/create', `${config.shopify.host}/webhooks/orders-create`);
-        await client.registerWebhook('orders/updated', `${config.shopify.host}/webhooks/orders-updated`);
-
-        console.log(`[FSBD] ✅ Webhooks registered for: ${shop}`);
+        try {
+            await reconcileWebhooks(client);
+            console.log(`[FSBD] ✅ Webhooks registered for: ${shop}`);
+        } catch (err) {
+            console.error(`[FSBD] Webhook registration failed for ${shop}:`, err.message);
+        }
 
-        // Redirect to app admin page
-        res.redirect(`/admin?shop=${shop}`);
+        // Redirect to the embedded app inside Shopify admin
+        res.redirect(`https://${shop}/admin/apps/${config.shopify.apiKey}`);
     } catch (err) {
         console.error('[FSBD] OAuth error:', err.message);
         res.status(500).send('Authentication failed: ' + err.message);
@@ -110,9 +111,11 @@ router.get('/auth/callback', async (req, res) => {
 
 /**
  * Get stored access token for a shop
+ * @returns {Promise<string|null>}
  */
-function getAccessToken(shop) {
-    return shopTokens[shop] || null;
+async function getAccessToken(shop) {
+    if (!shop) return null;
+    return shopStore.getAccessToken(shop);
 }
 
 module.exports = { router, getAccessToken };
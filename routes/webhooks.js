@@ -1,13 +1,25 @@
 /**
  * FraudShieldBD — Webhook Routes
  *
- * Handles incoming Shopify webhooks (orders/create, orders/updated)
+ * Handles incoming Shopify webhooks (orders/create, orders/updated).
+ * Orders are queued and checked in the background (lib/order-queue.js).
+ * Redelivered webhooks are acknowledged without reprocessing.
+ *
+ * Delivery outcomes come from orders/cancelled and fulfillments/create,
+ * fulfillments/update (lib/delivery-outcomes.js).
+ *
+ * Also handles app/uninstalled and the mandatory GDPR webhooks
+ * (customers/data_request, customers/redact, shop/redact).
  */
 
 const express = require('express');
 const { verifyWebhook } = require('../lib/webhook-verify');
-const ShopifyClient = require('../lib/shopify-client');
+const { dedupeWebhook } = require('../lib/webhook-dedupe');
+const { enqueueOrder, enqueueReport, isOrderProcessed } = require('../lib/order-queue');
 const OrderChecker = require('../lib/order-checker');
+const { resolveSettings } = require('../lib/settings');
+const { recordFulfillmentOutcome, recordOrderPayloadOutcome } = require('../lib/delivery-outcomes');
+const { exportCustomerData, redactCustomer, purgeShop } = require('../lib/privacy');
 const { getAccessToken } = require('./auth');
 
 const router = express.Router();
@@ -16,58 +28,187 @@ const router = express.Router();
  * POST /webhooks/orders-create
  * Fired when a new order is created in Shopify
  */
-router.post('/orders-create', verifyWebhook, async (req, res) => {
-    // Respond immediately (Shopify expects 200 within 5 seconds)
-    res.status(200).json({ received: true });
-
+router.post('/orders-create', verifyWebhook, dedupeWebhook, async (req, res) => {
     const order = req.body;
     const shop = req.get('X-Shopify-Shop-Domain');
 
     console.log(`[FSBD] 📦 New order webhook: #${order.order_number} from ${shop}`);
 
-    const accessToken = getAccessToken(shop);
+    const accessToken = await getAccessToken(shop);
     if (!accessToken) {
         console.error(`[FSBD] No access token for shop: ${shop}`);
-        return;
+        return res.status(200).json({ received: true });
     }
 
     try {
-        const shopify = new ShopifyClient(shop, accessToken);
-        const checker = new OrderChecker(shopify);
-        await checker.processOrder(order);
+        await enqueueOrder(shop, order);
     } catch (err) {
-        console.error(`[FSBD] Error processing order #${order.order_number}:`, err.message);
+        // Let Shopify redeliver if the job could not be stored
+        console.error(`[FSBD] Failed to queue order #${order.order_number}:`, err.message);
+        return res.status(500).json({ received: false });
     }
+
+    // Respond quickly (Shopify expects 200 within 5 seconds)
+    res.status(200).json({ received: true });
 });
 
 /**
  * POST /webhooks/orders-updated
  * Fired when an order is updated (e.g. status change)
- * Only process if not already checked
+ * Only process if not already checked; auto-report tagged orders
  */
-router.post('/orders-updated', verifyWebhook, async (req, res) => {
+router.post('/orders-updated', verifyWebhook, dedupeWebhook, async (req, res) => {
+    const order = req.body;
+    const shop = req.get('X-Shopify-Shop-Domain');
+
+    const accessToken = await getAccessToken(shop);
+    if (!accessToken) {
+        return res.status(200).json({ received: true });
+    }
+
+    try {
+        await recordOrderPayloadOutcome(shop, order);
+
+        // Tagged as returned / refused — report the customer to FraudShieldBD
+        const settings = await resolveSettings(shop);
+        const reason = OrderChecker.autoReportReason(order, settings.autoReportTags);
+        if (reason && settings.autoReport) {
+            await enqueueReport(shop, order, reason);
+        }
+
+        // Already checked — no need to queue or read metafields
+        if (await isOrderProcessed(shop, order.id)) {
+            return res.status(200).json({ received: true });
+        }
+
+        await enqueueOrder(shop, order, { skipIfChecked: true });
+    } catch (err) {
+        console.error(`[FSBD] Failed to queue updated order #${order.order_number}:`, err.message);
+        return res.status(500).json({ received: false });
+    }
+
     res.status(200).json({ received: true });
+});
+
+// ── Delivery Outcomes ─────────────────────────
 
+/**
+ * POST /webhooks/orders-cancelled
+ * Record the cancellation next to the order's check result
+ */
+router.post('/orders-cancelled', verifyWebhook, dedupeWebhook, async (req, res) => {
     const order = req.body;
     const shop = req.get('X-Shopify-Shop-Domain');
 
-    const accessToken = getAccessToken(shop);
-    if (!accessToken) return;
-
     try {
-        const shopify = new ShopifyClient(shop, accessToken);
+        if (await recordOrderPayloadOutcome(shop, order)) {
+            console.log(`[FSBD] 🚫 Order #${order.order_number} cancelled (${shop})`);
+        }
+    } catch (err) {
+        console.error(`[FSBD] Failed to record cancellation of #${order.order_number}:`, err.message);
+        return res.status(500).json({ received: false });
+    }
+
+    res.status(200).json({ received: true });
+});
+
+/**
+ * POST /webhooks/fulfillments-create
+ * POST /webhooks/fulfillments-update
+ * Record delivered / returned once the courier's shipment status is final
+ */
+async function handleFulfillment(req, res) {
+    const fulfillment = req.body;
+    const shop = req.get('X-Shopify-Shop-Domain');
 
-        // Check if already checked via metafield
-        const meta = await shopify.getOrderMetafields(order.id);
-        if (meta.checked === 'yes') {
-            return; // Already checked
+    try {
+        const outcome = await recordFulfillmentOutcome(shop, fulfillment);
+        if (outcome) {
+            console.log(`[FSBD] 🚚 Order ${fulfillment.order_id} ${outcome} (${shop})`);
         }
+    } catch (err) {
+        console.error(`[FSBD] Failed to record fulfillment outcome for order ${fulfillment.order_id}:`, err.message);
+        return res.status(500).json({ received: false });
+    }
+
+    res.status(200).json({ received: true });
+}
+
+router.post('/fulfillments-create', verifyWebhook, dedupeWebhook, handleFulfillment);
+router.post('/fulfillments-update', verifyWebhook, dedupeWebhook, handleFulfillment);
+
+// ── App Lifecycle & GDPR ──────────────────────
+
+/**
+ * POST /webhooks/app-uninstalled
+ * The shop removed the app — its token is dead, delete everything we hold
+ */
+router.post('/app-uninstalled', verifyWebhook, dedupeWebhook, async (req, res) => {
+    const shop = req.get('X-Shopify-Shop-Domain');
+
+    try {
+        await purgeShop(shop);
+        console.log(`[FSBD] 🗑️ App uninstalled, data deleted for: ${shop}`);
+    } catch (err) {
+        console.error(`[FSBD] Uninstall cleanup failed for ${shop}:`, err.message);
+        return res.status(500).json({ received: false });
+    }
+
+    res.status(200).json({ received: true });
+});
+
+/**
+ * POST /webhooks/customers-data-request
+ * A customer asked for their data — store an export for the merchant
+ */
+router.post('/customers-data-request', verifyWebhook, dedupeWebhook, async (req, res) => {
+    const shop = req.body.shop_domain || req.get('X-Shopify-Shop-Domain');
+
+    try {
+        const record = await exportCustomerData(shop, req.body);
+        console.log(`[FSBD] 📄 Customer data export ${record.id} created for ${shop}`);
+    } catch (err) {
+        console.error(`[FSBD] Customer data export failed for ${shop}:`, err.message);
+        return res.status(500).json({ received: false });
+    }
+
+    res.status(200).json({ received: true });
+});
+
+/**
+ * POST /webhooks/customers-redact
+ * Delete everything held about a customer
+ */
+router.post('/customers-redact', verifyWebhook, dedupeWebhook, async (req, res) => {
+    const shop = req.body.shop_domain || req.get('X-Shopify-Shop-Domain');
+
+    try {
+        const removed = await redactCustomer(shop, req.body);
+        console.log(`[FSBD] 🗑️ Customer redacted for ${shop}: ${removed.orders} orders, ${removed.jobs} jobs`);
+    } catch (err) {
+        console.error(`[FSBD] Customer redact failed for ${shop}:`, err.message);
+        return res.status(500).json({ received: false });
+    }
+
+    res.status(200).json({ received: true });
+});
+
+/**
+ * POST /webhooks/shop-redact
+ * Sent 48 hours after uninstall — delete all data for the shop
+ */
+router.post('/shop-redact', verifyWebhook, dedupeWebhook, async (req, res) => {
+    const shop = req.body.shop_domain || req.get('X-Shopify-Shop-Domain');
 
-        const checker = new OrderChecker(shopify);
-        await checker.processOrder(order);
+    try {
+        await purgeShop(shop);
+        console.log(`[FSBD] 🗑️ Shop redacted: ${shop}`);
     } catch (err) {
-        console.error(`[FSBD] Error processing updated order #${order.order_number}:`, err.message);
+        console.error(`[FSBD] Shop redact failed for ${shop}:`, err.message);
+        return res.status(500).json({ received: false });
     }
+
+    res.status(200).json({ received: true });
 });
 
 module.exports = router;
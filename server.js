@@ -6,16 +6,29 @@
  * - Webhook endpoints (orders/create, orders/updated)
  * - Admin UI
  * - API endpoints (test connection, manual check, order status)
+ * - Background job queue for webhook order processing
  */
 
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
 const config = require('./config');
+const { verifyAdminRequest } = require('./lib/session-verify');
+const { orderQueue, startPendingRecovery } = require('./lib/order-queue');
+const { backfillQueue } = require('./lib/backfill');
+const { bulkQueue } = require('./lib/bulk-check');
+const { reconcileAllShops } = require('./lib/webhook-subscriptions');
 
 const { router: authRouter } = require('./routes/auth');
 const webhookRouter = require('./routes/webhooks');
 const apiRouter = require('./routes/api');
 
+// Access tokens and API keys are encrypted at rest — never with an empty key
+if (!config.storage.encryptionKey) {
+    console.error('[FSBD] ❌ Set STORAGE_ENCRYPTION_KEY (or SHOPIFY_API_SECRET) in .env — refusing to start without an encryption key');
+    process.exit(1);
+}
+
 const app = express();
 
 // ── Raw body capture for webhook HMAC verification ────────
@@ -36,7 +49,8 @@ app.use('/webhooks', (req, res, next) => {
 });
 
 // ── JSON parser for all other routes ──────────────────────
-app.use(express.json());
+// 1mb leaves room for CSV imports (phone lists)
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // ── Static files ──────────────────────────────────────────
@@ -53,9 +67,13 @@ app.use('/webhooks', webhookRouter);
 // API
 app.use('/api', apiRouter);
 
-// Admin UI
-app.get('/admin', (req, res) => {
-    res.sendFile(path.join(__dirname, 'views', 'admin.html'));
+// Admin UI (embedded in Shopify admin, loaded with a signed query string)
+const adminHtml = fs
+    .readFileSync(path.join(__dirname, 'views', 'admin.html'), 'utf8')
+    .replace('{{SHOPIFY_API_KEY}}', config.shopify.apiKey);
+
+app.get('/admin', verifyAdminRequest, (req, res) => {
+    res.type('html').send(adminHtml);
 });
 
 // Health check
@@ -80,6 +98,25 @@ app.listen(config.port, () => {
     console.log(`  🔧 Env:     ${config.nodeEnv}`);
     console.log('');
 
+    // Resume background order checks (including jobs interrupted by a restart)
+    orderQueue.start().catch(err => {
+        console.error('[FSBD] Failed to start job queue:', err.message);
+    });
+    backfillQueue.start().catch(err => {
+        console.error('[FSBD] Failed to start backfill queue:', err.message);
+    });
+    bulkQueue.start().catch(err => {
+        console.error('[FSBD] Failed to start bulk check queue:', err.message);
+    });
+
+    // Re-check orders left pending by a FraudShieldBD outage
+    startPendingRecovery();
+
+    // Fix webhook subscriptions left on an old HOST or API setup
+    reconcileAllShops().catch(err => {
+        console.error('[FSBD] Webhook reconciliation failed:', err.message);
+    });
+
     if (!config.fraudshield.apiKey) {
         console.warn('  ⚠️  FraudShieldBD API Key not set! Set FRAUDSHIELD_API_KEY in .env');
     }
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker } = require('../lib/circuit-breaker');
+
+test.beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('opens after the failure threshold and refuses requests', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldown: 60000 });
+    let opened = 0;
+    breaker.on('open', () => opened++);
+
+    breaker.recordFailure('timeout');
+    breaker.recordFailure('timeout');
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.allowRequest(), true);
+
+    breaker.recordFailure('HTTP 503');
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.allowRequest(), false);
+    assert.strictEqual(opened, 1);
+    assert.strictEqual(breaker.status().lastError, 'HTTP 503');
+});
+
+test('a success resets the failure count', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+    breaker.recordFailure('timeout');
+    breaker.recordSuccess();
+    breaker.recordFailure('timeout');
+    assert.strictEqual(breaker.state, 'closed');
+});
+
+test('lets one probe through after the cooldown; success closes it', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 1000 });
+    let closed = 0;
+    breaker.on('close', () => closed++);
+
+    breaker.recordFailure('timeout');
+    t.mock.timers.tick(999);
+    assert.strictEqual(breaker.probeDue(), false);
+    assert.strictEqual(breaker.allowRequest(), false);
+
+    t.mock.timers.tick(1);
+    assert.strictEqual(breaker.probeDue(), true);
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.state, 'half_open');
+    assert.strictEqual(breaker.allowRequest(), false);
+
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(closed, 1);
+});
+
+test('a failed probe re-opens the breaker without a second open event', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 1000 });
+    let opened = 0;
+    breaker.on('open', () => opened++);
+
+    breaker.recordFailure('timeout');
+    t.mock.timers.tick(1000);
+    breaker.allowRequest();
+    breaker.recordFailure('timeout');
+
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(opened, 1);
+    assert.strictEqual(breaker.status().retryAt, new Date(2000).toISOString());
+});
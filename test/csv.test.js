@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsv, csvCell } = require('../lib/csv');
+
+test('parseCsv reads quoted fields, escaped quotes and mixed line endings', () => {
+    const text = '\uFEFFName,Phone\r\n"Rahim, Dhaka","0171 ""A"""\n\nKarim,01812345678\r\n';
+    assert.deepStrictEqual(parseCsv(text), [
+        ['Name', 'Phone'],
+        ['Rahim, Dhaka', '0171 "A"'],
+        ['Karim', '01812345678'],
+    ]);
+});
+
+test('parseCsv keeps line breaks inside quotes and skips blank rows', () => {
+    assert.deepStrictEqual(parseCsv('"a\nb",c\n , \n'), [['a\nb', 'c']]);
+    assert.deepStrictEqual(parseCsv(''), []);
+});
+
+test('csvCell quotes cells with commas, quotes and line breaks', () => {
+    assert.strictEqual(csvCell('plain'), 'plain');
+    assert.strictEqual(csvCell('a,b'), '"a,b"');
+    assert.strictEqual(csvCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(csvCell(null), '');
+    assert.strictEqual(csvCell('01712345678', true), '"01712345678"');
+});
+
+test('csvCell prefixes every cell a spreadsheet could run as a formula', () => {
+    for (const value of ['=1+1', '+8801712345678', "-2+3+cmd|' /C calc'!A0", '@SUM(A1)', '\t=1', '\r=1']) {
+        const cell = csvCell(value);
+        assert.ok(/^"?'/.test(cell), JSON.stringify(value));
+    }
+    assert.strictEqual(csvCell(-5), '-5');
+});
+
+test('toCsv adds a BOM, CRLF line endings and quotes the given columns', () => {
+    const csv = toCsv([['Phone', 'Status'], ['01712345678', 'ok']], { quoteColumns: [0] });
+    assert.strictEqual(csv, '\uFEFF"Phone",Status\r\n"01712345678",ok\r\n');
+    assert.deepStrictEqual(parseCsv(csv), [['Phone', 'Status'], ['01712345678', 'ok']]);
+});
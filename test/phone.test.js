@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toAsciiDigits, operatorFor, normalizePhone, extractPhones } = require('../lib/phone');
+
+test('toAsciiDigits converts Bangla and Eastern Arabic digits', () => {
+    assert.strictEqual(toAsciiDigits('০১৭১২৩৪৫৬৭৮'), '01712345678');
+    assert.strictEqual(toAsciiDigits('٠١٨-۱۲۳'), '018-123');
+    assert.strictEqual(toAsciiDigits(null), '');
+});
+
+test('operatorFor maps prefixes to operators', () => {
+    assert.deepStrictEqual(operatorFor('01712345678'), { key: 'grameenphone', name: 'Grameenphone' });
+    assert.strictEqual(operatorFor('01812345678').key, 'robi');
+    assert.strictEqual(operatorFor('01912345678').key, 'banglalink');
+    assert.strictEqual(operatorFor('01212345678'), null);
+});
+
+test('normalizePhone accepts the ways customers type a number', () => {
+    for (const input of [
+        '01712345678',
+        '+8801712345678',
+        '8801712345678',
+        '008801712345678',
+        '+880 1712-345678',
+        '1712345678',
+        '017.1234.5678',
+        '০১৭১২৩৪৫৬৭৮',
+    ]) {
+        const result = normalizePhone(input);
+        assert.strictEqual(result.valid, true, input);
+        assert.strictEqual(result.phone, '01712345678', input);
+        assert.strictEqual(result.operator.key, 'grameenphone', input);
+    }
+});
+
+test('normalizePhone rejects with a reason', () => {
+    const cases = {
+        '': 'empty',
+        'abc': 'no_digits',
+        '+441712345678': 'foreign',
+        '0171234567': 'too_short',
+        '017123456789': 'too_long',
+        '02123456789': 'not_mobile',
+        '01212345678': 'unknown_operator',
+    };
+    for (const [input, reason] of Object.entries(cases)) {
+        const result = normalizePhone(input);
+        assert.strictEqual(result.valid, false, input);
+        assert.strictEqual(result.phone, null, input);
+        assert.strictEqual(result.reason, reason, input);
+        assert.ok(result.message, input);
+    }
+});
+
+test('extractPhones finds several numbers in one field', () => {
+    const { phones, error } = extractPhones('017-1234-5678 / ০১৮১২৩৪৫৬৭৮');
+    assert.deepStrictEqual(phones.map(p => p.phone), ['01712345678', '01812345678']);
+    assert.strictEqual(error, null);
+});
+
+test('extractPhones splits numbers typed without separators and drops duplicates', () => {
+    const { phones } = extractPhones('01712345678 01812345678 01712345678');
+    assert.deepStrictEqual(phones.map(p => p.phone), ['01712345678', '01812345678']);
+});
+
+test('extractPhones explains why nothing valid was found', () => {
+    const { phones, error } = extractPhones('call 0171234');
+    assert.deepStrictEqual(phones, []);
+    assert.strictEqual(error.reason, 'too_short');
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RedisCache, FallbackCache, ResultCache } = require('../lib/result-cache');
+
+/**
+ * Local Redis stand-in with the ioredis command API the cache uses
+ */
+class FakeRedis {
+    constructor() {
+        this.data = new Map();
+    }
+
+    async get(key) {
+        const item = this.data.get(key);
+        if (!item || item.expiresAt <= Date.now()) return null;
+        return item.value;
+    }
+
+    async set(key, value, mode, ms) {
+        assert.strictEqual(mode, 'PX');
+        this.data.set(key, { value, expiresAt: Date.now() + ms });
+        return 'OK';
+    }
+
+    async del(...keys) {
+        let removed = 0;
+        for (const key of keys) removed += this.data.delete(key) ? 1 : 0;
+        return removed;
+    }
+
+    async keys(pattern) {
+        const prefix = pattern.replace(/\*$/, '');
+        return [...this.data.keys()].filter(k => k.startsWith(prefix));
+    }
+}
+
+/**
+ * Redis that never answers (server down, commands stuck in a queue)
+ */
+class HangingRedis {
+    get() { return new Promise(() => {}); }
+    set() { return new Promise(() => {}); }
+    del() { return new Promise(() => {}); }
+    keys() { return new Promise(() => {}); }
+}
+
+const okResult = { success: true, riskLevel: 'safe', summary: { totalParcel: 3 } };
+const fresh = { ttl: 300, staleTtl: 3600 };
+
+test('RedisCache stores, reads, prefixes and expires entries', async () => {
+    const client = new FakeRedis();
+    const cache = new ResultCache(new RedisCache(client, 'test:'));
+
+    assert.strictEqual(await cache.store('01711111111', okResult), true);
+    assert.ok([...client.data.keys()].every(k => k.startsWith('test:')));
+
+    const hit = await cache.lookup('01711111111', fresh);
+    assert.deepStrictEqual(hit.result, okResult);
+    assert.strictEqual(hit.stale, false);
+
+    await cache.delete('01711111111');
+    assert.strictEqual(await cache.lookup('01711111111', fresh), null);
+});
+
+test('RedisCache clear() removes only prefixed keys', async () => {
+    const client = new FakeRedis();
+    await client.set('other:key', 'x', 'PX', 60000);
+    const cache = new ResultCache(new RedisCache(client, 'test:'));
+
+    await cache.store('01711111111', okResult);
+    await cache.clear();
+
+    assert.deepStrictEqual([...client.data.keys()], ['other:key']);
+});
+
+test('API errors are not cached', async () => {
+    const cache = new ResultCache(new RedisCache(new FakeRedis()));
+    assert.strictEqual(await cache.store('01711111111', { success: false, error: 'timeout' }), false);
+});
+
+test('RedisCache fails a command that does not answer in time', async () => {
+    const backend = new RedisCache(new HangingRedis(), 'test:', { timeout: 20 });
+    await assert.rejects(backend.get('k'), /timed out/);
+});
+
+test('FallbackCache keeps lookups working while Redis hangs', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const backend = new FallbackCache(new RedisCache(new HangingRedis(), 'test:', { timeout: 20 }));
+    const cache = new ResultCache(backend);
+
+    const started = Date.now();
+    assert.strictEqual(await cache.lookup('01711111111', fresh), null);
+    assert.strictEqual(await cache.store('01711111111', okResult), true);
+    assert.deepStrictEqual((await cache.lookup('01711111111', fresh)).result, okResult);
+    assert.ok(Date.now() - started < 1000);
+    assert.strictEqual(backend.down, true);
+});
+
+test('FallbackCache goes back to Redis once it answers again', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+    const client = new FakeRedis();
+    let failing = true;
+    const flaky = new Proxy(client, {
+        get(target, name) {
+            const fn = target[name].bind(target);
+            return (...args) => (failing ? Promise.reject(new Error('ECONNREFUSED')) : fn(...args));
+        },
+    });
+    const backend = new FallbackCache(new RedisCache(flaky, 'test:'));
+    const cache = new ResultCache(backend);
+
+    await cache.store('01711111111', okResult);
+    assert.strictEqual(client.data.size, 0);
+
+    failing = false;
+    await cache.store('01811111111', okResult);
+    assert.strictEqual(backend.down, false);
+    assert.strictEqual(client.data.size, 1);
+    // Entry written during the outage is still served
+    assert.ok(await cache.lookup('01711111111', fresh));
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    DEFAULT_WEIGHTS,
+    scoreInputs,
+    computeRiskScore,
+    levelForScore,
+    checkCalibration,
+    validateWeights,
+} = require('../lib/risk-score');
+
+const thresholds = { thresholdHigh: 50, thresholdMedium: 70 };
+
+const inputs = overrides => ({
+    totalParcel: 0,
+    successParcel: 0,
+    cancelledParcel: 0,
+    reportCount: 0,
+    reportDates: [],
+    ...overrides,
+});
+
+test('scoreInputs derives success parcels from the ratio and keeps valid report dates', () => {
+    const result = scoreInputs(
+        { totalParcel: 10, successRatio: 70, cancelledParcel: 3 },
+        [{ created_at: '2026-01-01T00:00:00Z' }, { date: 'not a date' }, {}]
+    );
+    assert.strictEqual(result.successParcel, 7);
+    assert.strictEqual(result.cancelledParcel, 3);
+    assert.strictEqual(result.reportCount, 3);
+    assert.deepStrictEqual(result.reportDates, ['2026-01-01T00:00:00.000Z']);
+});
+
+test('computeRiskScore is null without history or reports', () => {
+    assert.strictEqual(computeRiskScore(inputs()), null);
+});
+
+test('a customer who delivers every parcel scores safe', () => {
+    const { score } = computeRiskScore(inputs({ totalParcel: 20, successParcel: 20 }));
+    assert.ok(score >= 0 && score <= 100);
+    assert.strictEqual(levelForScore(score, thresholds), 'safe');
+});
+
+test('a customer who fails most deliveries stays high without reports', () => {
+    const { score, components } = computeRiskScore(inputs({ totalParcel: 10, successParcel: 2 }));
+    assert.ok(score >= components.ratio);
+    assert.strictEqual(levelForScore(score, thresholds), 'high');
+});
+
+test('fresh fraud reports raise the score more than old ones', () => {
+    const asOf = new Date('2026-06-01T00:00:00Z');
+    const base = { totalParcel: 10, successParcel: 9, reportCount: 1 };
+    const fresh = computeRiskScore(inputs({ ...base, reportDates: ['2026-05-31T00:00:00Z'] }), DEFAULT_WEIGHTS, asOf);
+    const old = computeRiskScore(inputs({ ...base, reportDates: ['2025-01-01T00:00:00Z'] }), DEFAULT_WEIGHTS, asOf);
+    assert.ok(fresh.components.recency > old.components.recency);
+    assert.ok(fresh.score > old.score);
+});
+
+test('levelForScore mirrors the ratio thresholds', () => {
+    assert.strictEqual(levelForScore(null, thresholds), 'unknown');
+    assert.strictEqual(levelForScore(51, thresholds), 'high');
+    assert.strictEqual(levelForScore(50, thresholds), 'medium');
+    assert.strictEqual(levelForScore(31, thresholds), 'medium');
+    assert.strictEqual(levelForScore(30, thresholds), 'safe');
+});
+
+test('checkCalibration rejects weights that would not rate a never-delivering customer high', () => {
+    assert.deepStrictEqual(checkCalibration(DEFAULT_WEIGHTS, thresholds), []);
+    const weights = { ratio: 0, confidence: 0, cancels: 0, reports: 100, recency: 0 };
+    assert.strictEqual(checkCalibration(weights, thresholds).length, 1);
+});
+
+test('validateWeights merges a partial update and rejects bad values', () => {
+    const ok = validateWeights({ reports: '30' });
+    assert.deepStrictEqual(ok.errors, []);
+    assert.strictEqual(ok.weights.reports, 30);
+    assert.strictEqual(ok.weights.ratio, DEFAULT_WEIGHTS.ratio);
+
+    assert.strictEqual(validateWeights({ ratio: 101 }).errors.length, 1);
+    assert.strictEqual(validateWeights({ ratio: 2.5 }).errors.length, 1);
+    assert.strictEqual(validateWeights({ ratio: '' }).errors.length, 1);
+    assert.strictEqual(validateWeights({ unknown: 5 }).errors.length, 1);
+    assert.strictEqual(validateWeights([]).errors.length, 1);
+
+    const zero = Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(field => [field, 0]));
+    assert.deepStrictEqual(validateWeights(zero).errors, ['scoreWeights: at least one weight must be above 0']);
+});
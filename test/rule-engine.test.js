@@ -0,0 +1,150 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStore } = require('../lib/storage');
+const {
+    RuleEngine,
+    validateRules,
+    validateConditions,
+    matchCondition,
+    evaluateRules,
+    buildContext,
+    ADVANCE_PAYMENT_TAG,
+} = require('../lib/rule-engine');
+
+/**
+ * Shopify client stand-in that records the calls the engine makes
+ */
+class FakeShopify {
+    constructor({ failCancel = false } = {}) {
+        this.shop = 'test.myshopify.com';
+        this.calls = [];
+        this.failCancel = failCancel;
+    }
+
+    async addOrderTags(id, tags) { this.calls.push(['addOrderTags', id, tags]); }
+    async holdFulfillment(id, note) { this.calls.push(['holdFulfillment', id, note]); }
+    async cancelOrder(id, options) {
+        if (this.failCancel) throw new Error('Order already fulfilled');
+        this.calls.push(['cancelOrder', id, options]);
+    }
+}
+
+const order = { id: 1001, order_number: 1, total_price: '1500.00' };
+const result = {
+    riskLevel: 'high',
+    riskScore: 72,
+    reportCount: 1,
+    summary: { successRatio: 30, totalParcel: 10, cancelledParcel: 7 },
+    couriers: { Steadfast: { successRatio: 20, totalParcel: 5 } },
+};
+const context = buildContext(order, result, true);
+
+test('validateRules accepts a valid rule set and normalizes it', () => {
+    const { errors, ruleSet } = validateRules({
+        rules: [{
+            name: 'Block risky COD',
+            conditions: [{ field: 'riskScore', op: 'gte', value: '60' }, { field: 'isCod', op: 'eq', value: true }],
+            actions: [{ type: 'cancel_order' }, { type: 'add_tags', tags: [' risky ', ''] }],
+        }],
+    });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(ruleSet.dryRun, true);
+    assert.strictEqual(ruleSet.rules[0].conditions[0].value, 60);
+    assert.deepStrictEqual(ruleSet.rules[0].actions[0], { type: 'cancel_order', restock: true, notifyCustomer: false });
+    assert.deepStrictEqual(ruleSet.rules[0].actions[1].tags, ['risky']);
+});
+
+test('validateRules reports missing conditions, actions and unknown types', () => {
+    assert.deepStrictEqual(validateRules({}).errors, ['rules must be an array']);
+
+    const { errors } = validateRules({ rules: [{ conditions: [], actions: [{ type: 'explode' }] }, 'x'] });
+    assert.ok(errors.includes('rules[0]: at least one condition required'));
+    assert.ok(errors.includes('rules[0].actions[0]: unknown action "explode"'));
+    assert.ok(errors.includes('rules[1]: must be an object'));
+});
+
+test('validateConditions rejects unknown fields, operators and non-numeric values', () => {
+    const errors = validateConditions([
+        { field: 'age', op: 'eq', value: 1 },
+        { field: 'riskScore', op: 'like', value: 1 },
+        { field: 'riskScore', op: 'gt', value: 'abc' },
+        { field: 'totalParcel', op: 'in', value: [1, 'x'] },
+        { field: 'riskLevel', op: 'in', value: 'high' },
+        { field: 'courierRatio', op: 'lt', value: 50 },
+    ]);
+    assert.strictEqual(errors.length, 6);
+    assert.deepStrictEqual(validateConditions([{ field: 'riskScore', op: 'gt', value: '2.5' }]), []);
+});
+
+test('matchCondition compares against the context', () => {
+    assert.strictEqual(matchCondition({ field: 'riskScore', op: 'gte', value: 72 }, context), true);
+    assert.strictEqual(matchCondition({ field: 'successRatio', op: 'lt', value: 30 }, context), false);
+    assert.strictEqual(matchCondition({ field: 'riskLevel', op: 'in', value: ['high', 'medium'] }, context), true);
+    assert.strictEqual(matchCondition({ field: 'orderTotal', op: 'gt', value: 1000 }, context), true);
+    assert.strictEqual(matchCondition({ field: 'courierRatio', courier: 'steadfast', op: 'lt', value: 50 }, context), true);
+    assert.strictEqual(matchCondition({ field: 'courierRatio', courier: 'pathao', op: 'lt', value: 50 }, context), false);
+});
+
+test('a missing number never matches', () => {
+    const noScore = buildContext(order, { ...result, riskScore: undefined }, true);
+    assert.strictEqual(matchCondition({ field: 'riskScore', op: 'lt', value: 100 }, noScore), false);
+});
+
+test('evaluateRules skips disabled rules and needs every condition', () => {
+    const rules = [
+        { name: 'a', enabled: true, conditions: [{ field: 'isCod', op: 'eq', value: true }] },
+        { name: 'b', enabled: false, conditions: [{ field: 'isCod', op: 'eq', value: true }] },
+        { name: 'c', enabled: true, conditions: [{ field: 'isCod', op: 'eq', value: true }, { field: 'riskLevel', op: 'eq', value: 'safe' }] },
+    ];
+    assert.deepStrictEqual(evaluateRules(rules, context).map(r => r.name), ['a']);
+});
+
+test('RuleEngine dry run only logs the planned actions', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const shopify = new FakeShopify();
+    const storage = new MemoryStore();
+    const ruleSet = {
+        dryRun: true,
+        rules: [{ name: 'hold', enabled: true, conditions: [{ field: 'isCod', op: 'eq', value: true }], actions: [{ type: 'hold_fulfillment' }] }],
+    };
+
+    const executed = await new RuleEngine(shopify, storage).run(ruleSet, order, result, true);
+    assert.deepStrictEqual(executed.map(a => [a.type, a.dryRun]), [['hold_fulfillment', true]]);
+    assert.deepStrictEqual(shopify.calls, []);
+    assert.strictEqual((await RuleEngine.getLog(shopify.shop, storage))[0].orderId, order.id);
+});
+
+test('RuleEngine merges tags and drops the hold when cancelling', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const shopify = new FakeShopify();
+    const ruleSet = {
+        dryRun: false,
+        rules: [
+            { name: 'cancel', enabled: true, conditions: [{ field: 'riskLevel', op: 'eq', value: 'high' }], actions: [{ type: 'cancel_order', restock: true }, { type: 'add_tags', tags: ['risky'] }] },
+            { name: 'hold', enabled: true, conditions: [{ field: 'isCod', op: 'eq', value: true }], actions: [{ type: 'hold_fulfillment' }, { type: 'require_advance_payment' }] },
+        ],
+    };
+
+    const executed = await new RuleEngine(shopify, new MemoryStore()).run(ruleSet, order, result, true);
+    assert.deepStrictEqual(executed.map(a => a.type), ['add_tags', 'cancel_order']);
+    assert.deepStrictEqual(shopify.calls[0], ['addOrderTags', order.id, ['risky', ADVANCE_PAYMENT_TAG]]);
+    assert.strictEqual(shopify.calls[1][0], 'cancelOrder');
+});
+
+test('RuleEngine records a failed action and keeps going', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const shopify = new FakeShopify({ failCancel: true });
+    const ruleSet = {
+        dryRun: false,
+        rules: [{ name: 'cancel', enabled: true, conditions: [{ field: 'isCod', op: 'eq', value: true }], actions: [{ type: 'cancel_order' }, { type: 'add_tags', tags: ['x'] }] }],
+    };
+
+    const executed = await new RuleEngine(shopify, new MemoryStore()).run(ruleSet, order, result, true);
+    const cancel = executed.find(a => a.type === 'cancel_order');
+    assert.strictEqual(cancel.ok, false);
+    assert.strictEqual(cancel.error, 'Order already fulfilled');
+    assert.strictEqual(executed.find(a => a.type === 'add_tags').ok, true);
+});
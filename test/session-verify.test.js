@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const config = require('../config');
+const {
+    isValidShopDomain,
+    isValidQueryHmac,
+    decodeSessionToken,
+    verifySessionToken,
+} = require('../lib/session-verify');
+
+config.shopify.apiKey = 'test-api-key';
+config.shopify.apiSecret = 'test-api-secret';
+
+const shop = 'test-shop.myshopify.com';
+const now = () => Math.floor(Date.now() / 1000);
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign a session token the way App Bridge does
+ */
+function sign(claims, { secret = config.shopify.apiSecret, alg = 'HS256' } = {}) {
+    const body = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+const claims = overrides => ({
+    iss: `https://${shop}/admin`,
+    dest: `https://${shop}`,
+    aud: config.shopify.apiKey,
+    exp: now() + 60,
+    nbf: now() - 5,
+    ...overrides,
+});
+
+/**
+ * Minimal Express response stand-in
+ */
+function fakeRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+test('isValidShopDomain accepts only *.myshopify.com', () => {
+    assert.strictEqual(isValidShopDomain(shop), true);
+    assert.strictEqual(isValidShopDomain('evil.com'), false);
+    assert.strictEqual(isValidShopDomain('shop.myshopify.com.evil.com'), false);
+    assert.strictEqual(isValidShopDomain(undefined), false);
+});
+
+test('isValidQueryHmac checks the sorted query string', () => {
+    const params = { shop, timestamp: '1700000000', host: 'abc' };
+    const message = Object.keys(params).sort().map(k => `${k}=${params[k]}`).join('&');
+    const hmac = crypto.createHmac('sha256', config.shopify.apiSecret).update(message).digest('hex');
+
+    assert.strictEqual(isValidQueryHmac({ ...params, hmac }), true);
+    assert.strictEqual(isValidQueryHmac({ ...params, shop: 'other.myshopify.com', hmac }), false);
+    assert.strictEqual(isValidQueryHmac(params), false);
+});
+
+test('decodeSessionToken returns the shop of a valid token', () => {
+    const decoded = decodeSessionToken(sign(claims()));
+    assert.strictEqual(decoded.shop, shop);
+    assert.strictEqual(decoded.claims.aud, config.shopify.apiKey);
+});
+
+test('decodeSessionToken rejects forged, expired and foreign tokens', () => {
+    const cases = [
+        ['not-a-token', /Malformed/],
+        [sign(claims(), { secret: 'wrong' }), /Invalid signature/],
+        [sign(claims(), { alg: 'none' }), /Unsupported algorithm/],
+        [sign(claims({ exp: now() - 60 })), /expired/],
+        [sign(claims({ nbf: now() + 60 })), /not yet valid/],
+        [sign(claims({ aud: 'other-app' })), /audience/],
+        [sign(claims({ dest: 'https://evil.com' })), /destination/],
+        [sign(claims({ iss: 'https://other.myshopify.com/admin' })), /destination/],
+    ];
+    for (const [token, message] of cases) {
+        assert.throws(() => decodeSessionToken(token), message);
+    }
+});
+
+test('verifySessionToken sets req.shop or answers 401', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    const req = { get: () => `Bearer ${sign(claims())}` };
+    let nextCalled = false;
+    verifySessionToken(req, fakeRes(), () => { nextCalled = true; });
+    assert.strictEqual(nextCalled, true);
+    assert.strictEqual(req.shop, shop);
+
+    for (const header of ['', `Bearer ${sign(claims({ exp: now() - 60 }))}`]) {
+        const res = fakeRes();
+        verifySessionToken({ get: () => header }, res, () => assert.fail('next() called'));
+        assert.strictEqual(res.statusCode, 401);
+        assert.strictEqual(res.body.success, false);
+    }
+});